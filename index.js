@@ -1,673 +1,3790 @@
 // index.js — VisionsJersey automation (Final: robust multi-item, webhook/polling safe)
 // 2025-12 - Finalized: handles multi-item orders, sizes & technique extraction,
-// inserts into paid_order_items, robust fallbacks when columns differ,
-// supplier format requested layout, today's list (short), and delete-today commands.
+// inserts into paid_order_items, supplier format requested layout,
+// today's list (short), and delete-today commands.
+// Supabase access goes through lib/db.js; schema lives in migrations/.
+// Everything is built by createApp() (see test/ for the offline fakes);
+// `node index.js` loads .env, builds the app and starts it.
 
-require("dotenv").config();
 const express = require("express");
 const bodyParser = require("body-parser");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const axios = require("axios");
+process.env.NTBA_FIX_350 = process.env.NTBA_FIX_350 || "1"; // use the contentType we pass for documents
 const TelegramBot = require("node-telegram-bot-api");
 const { DateTime } = require("luxon");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const { Resvg } = require("@resvg/resvg-js");
+const { createDb, op, SchemaError } = require("./lib/db");
+const { createLogger } = require("./lib/log");
+const { createMetrics } = require("./lib/metrics");
+const { createAlerter } = require("./lib/alerts");
+const { createTemplateStore } = require("./lib/templates");
+const { drawCode128 } = require("./lib/barcode");
+const { extractItemsFromIncoming } = require("./lib/items");
+
+/**
+ * Build the app (Express routes, Telegram handlers, schedulers) without
+ * starting anything; start() listens, polls/sets the webhook and runs the
+ * schedulers. Each outside service can be swapped for a stand-in:
+ * @param {Object} [deps]
+ * @param {{ url?: string, key?: string, http?: Function }} [deps.supabase]  PostgREST; http = axios-style request fn
+ * @param {{ http?: Function }} [deps.woo]        WooCommerce REST transport (axios-style)
+ * @param {{ bot?: Object, http?: Function }} [deps.telegram]  object with node-telegram-bot-api's interface
+ *   (default: built from TELEGRAM_TOKEN); http = axios-style transport for file downloads
+ * @param {{ now: () => number }} [deps.clock]    epoch ms; drives reminders, expiry, day keys and the outbox
+ * @param {Object} [deps.env]                     configuration, defaults to process.env
+ */
+function createApp({ supabase = {}, woo = {}, telegram = {}, clock = { now: () => Date.now() }, env = process.env } = {}) {
+  const app = express();
+  // keep the raw bytes around: WooCommerce signs the exact body it sent
+  const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+  app.use(bodyParser.json({ limit: "10mb", verify: keepRawBody }));
+  app.use(bodyParser.urlencoded({ extended: false, verify: keepRawBody }));
+
+  // ---------------- ENV ----------------
+  const SUPABASE_URL = supabase.url || env.SUPABASE_URL;
+  const SUPABASE_ANON = supabase.key || env.SUPABASE_ANON;
+  // the project's API "Max rows" setting; longer reads (/stats, /export_today) are paged by it
+  const SUPABASE_MAX_ROWS = Number(env.SUPABASE_MAX_ROWS || 1000);
+  const TELEGRAM_TOKEN = env.TELEGRAM_TOKEN || null;
+  const SUPPLIER_CHAT_ID = env.SUPPLIER_CHAT_ID || null;
+  const TIMEZONE = env.TIMEZONE || "Asia/Kolkata";
+  const BASE_URL = env.BASE_URL || null; // if set, we use webhook mode for Telegram
+  const ADMIN_CHAT_ID = env.ADMIN_CHAT_ID || null;
+  // Outbox for failed Supabase/Woo writes (JSON file, retried with exponential backoff)
+  const OUTBOX_FILE = env.OUTBOX_FILE || path.join(__dirname, "data", "outbox.json");
+  const OUTBOX_INTERVAL_SECONDS = Number(env.OUTBOX_INTERVAL_SECONDS || 30);
+  const OUTBOX_MAX_ATTEMPTS = Number(env.OUTBOX_MAX_ATTEMPTS || 8);
+  const DELETE_UNDO_MINUTES = Number(env.DELETE_UNDO_MINUTES || 30);
+  const SUPPLIER_SUMMARY_TIME = env.SUPPLIER_SUMMARY_TIME || ""; // "HH:mm" in TIMEZONE; empty = no scheduled send
+  // Telegram user ids that are always admins (bootstrap for /grant)
+  const ADMIN_IDS = (env.ADMIN_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
+
+  // Unpaid reminders (hours after created_at; scan interval 0 disables the scheduler)
+  const REMINDER_SCAN_MINUTES = Number(env.REMINDER_SCAN_MINUTES ?? 15);
+  const REMINDER_STAGES = [
+    { key: "reminder_24", hours: Number(env.REMINDER_24_HOURS || 24) },
+    { key: "reminder_48", hours: Number(env.REMINDER_48_HOURS || 48) },
+    { key: "reminder_72", hours: Number(env.REMINDER_72_HOURS || 72) }
+  ];
+  // pending orders older than this (from created_at, or from a revive) become "expired"; 0 = never
+  const ORDER_EXPIRY_DAYS = Number(env.ORDER_EXPIRY_DAYS ?? 5);
+
+  // WooCommerce Keys (optional)
+  const WC_USER = env.WC_KEY || "";
+  const WC_PASS = env.WC_SECRET || "";
+  const WC_WEBHOOK_SECRET = env.WC_WEBHOOK_SECRET || "";
+  // without a secret, order webhooks are refused unless this explicit opt-out is set (local testing only)
+  const WC_WEBHOOK_ALLOW_UNSIGNED = /^(1|true|yes)$/i.test(env.WC_WEBHOOK_ALLOW_UNSIGNED || "");
+  const DEFAULT_COURIER = (env.DEFAULT_COURIER || "indiapost").toLowerCase();
+  const WC_API_URL = (env.WC_API_URL || "https://visionsjersey.com/wp-json/wc/v3").replace(/\/$/, "");
+  const wooHttp = woo.http || axios;
+
+  // Message templates (<TEMPLATES_DIR>/<name>.txt, overridden by the message_templates table)
+  const TEMPLATES_DIR = env.TEMPLATES_DIR || path.join(__dirname, "templates");
+  const TEMPLATES_REFRESH_MINUTES = Number(env.TEMPLATES_REFRESH_MINUTES || 5);
+
+  // Label / invoice PDFs sent after /paid ("label,invoice"; empty = none); GST % (prices are GST-inclusive)
+  const PAID_DOCUMENTS = (env.PAID_DOCUMENTS ?? "label,invoice").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const GST_RATE = Number(env.GST_RATE || 5);
+
+  // Stock per SKU + size: alert the admin chat when available (on hand - reserved) drops under
+  // STOCK_LOW_THRESHOLD; STOCK_WOO_SYNC=1 pushes available counts to the Woo variations
+  const STOCK_LOW_THRESHOLD = Number(env.STOCK_LOW_THRESHOLD ?? 2);
+  const STOCK_WOO_SYNC = /^(1|true|yes)$/i.test(env.STOCK_WOO_SYNC || "");
+
+  // Observability: JSON logs, /metrics (optional bearer token), repeated-error alerts
+  const LOG_LEVEL = env.LOG_LEVEL || "info";
+  const METRICS_TOKEN = env.METRICS_TOKEN || "";
+  const ALERT_CHAT_ID = env.ALERT_CHAT_ID || ADMIN_CHAT_ID;
+  const ALERT_THRESHOLD = Number(env.ALERT_THRESHOLD || 3);
+  const ALERT_WINDOW_MINUTES = Number(env.ALERT_WINDOW_MINUTES || 5);
+  const ALERT_COOLDOWN_MINUTES = Number(env.ALERT_COOLDOWN_MINUTES || 30);
+
+  // ---------------- Logging, metrics, alerts ----------------
+  // errors with the same message ALERT_THRESHOLD times in ALERT_WINDOW_MINUTES
+  // -> one Telegram message to ALERT_CHAT_ID, then quiet for ALERT_COOLDOWN_MINUTES.
+  // Sent with bot.sendMessage directly so a failing send can't alert about itself.
+  const alerter = createAlerter({
+    send: (text) => (bot && ALERT_CHAT_ID ? bot.sendMessage(ALERT_CHAT_ID, text) : Promise.resolve()),
+    threshold: ALERT_THRESHOLD,
+    windowMs: ALERT_WINDOW_MINUTES * 60 * 1000,
+    cooldownMs: ALERT_COOLDOWN_MINUTES * 60 * 1000
+  });
+  const log = createLogger({
+    level: LOG_LEVEL,
+    base: { service: "wc-to-supabase" },
+    onError: (entry) => alerter.record(entry.msg, entry.err?.message || entry.detail)
+  });
 
-const app = express();
-app.use(bodyParser.json({ limit: "10mb" }));
-
-// ---------------- ENV ----------------
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_ANON = process.env.SUPABASE_ANON;
-const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN || null;
-const SUPPLIER_CHAT_ID = process.env.SUPPLIER_CHAT_ID || null;
-const TIMEZONE = process.env.TIMEZONE || "Asia/Kolkata";
-const BASE_URL = process.env.BASE_URL || null; // if set, we use webhook mode for Telegram
-
-// WooCommerce Keys (optional)
-const WC_USER = process.env.WC_KEY || "";
-const WC_PASS = process.env.WC_SECRET || "";
+  const registry = createMetrics({ prefix: "vj_" });
+  const metrics = {
+    webhooksReceived: registry.counter("woo_webhooks_received_total", "WooCommerce webhook deliveries received"),
+    webhooksFailed: registry.counter("woo_webhooks_failed_total", "WooCommerce webhook deliveries rejected or failed", ["reason"]),
+    ordersMarkedPaid: registry.counter("orders_marked_paid_total", "Orders marked paid (/paid, buttons, reconciliation)"),
+    telegramSendFailures: registry.counter("telegram_send_failures_total", "Telegram sends/edits that failed", ["method"])
+  };
+  registry.gauge("outbox_jobs", "Failed writes waiting in the outbox", () => outbox.length);
+  registry.gauge("uptime_seconds", "Seconds since the process started", () => Math.round(process.uptime()));
+
+  // every HTTP request gets an id (X-Request-Id is honoured and echoed) and a child logger
+  app.use((req, res, next) => {
+    req.id = String(req.get("X-Request-Id") || "").replace(/[^\w.-]/g, "").slice(0, 64) || crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    req.log = log.child({ reqId: req.id });
+    const started = Date.now();
+    res.on("finish", () => req.log.debug("http request", { method: req.method, path: req.path, status: res.statusCode, ms: Date.now() - started }));
+    next();
+  });
 
-if (!SUPABASE_URL || !SUPABASE_ANON) {
-  console.error("❌ Missing SUPABASE_URL or SUPABASE_ANON environment variable.");
-  process.exit(1);
-}
+  if (!SUPABASE_URL || !SUPABASE_ANON) {
+    log.error("missing SUPABASE_URL or SUPABASE_ANON environment variable");
+    throw new Error("missing SUPABASE_URL or SUPABASE_ANON");
+  }
+  if (!WC_WEBHOOK_SECRET && WC_WEBHOOK_ALLOW_UNSIGNED) {
+    log.warn("WC_WEBHOOK_SECRET missing and WC_WEBHOOK_ALLOW_UNSIGNED set, /woocommerce-webhook signatures are NOT verified");
+  } else if (!WC_WEBHOOK_SECRET) {
+    log.warn("WC_WEBHOOK_SECRET missing, /woocommerce-webhook refuses every order delivery");
+  }
 
-const sbHeaders = {
-  apikey: SUPABASE_ANON,
-  Authorization: `Bearer ${SUPABASE_ANON}`,
-  "Content-Type": "application/json",
-  Prefer: "return=representation"
-};
-
-// ---------------- Telegram setup (webhook preferred) ----------------
-let bot = null;
-if (TELEGRAM_TOKEN) {
-  if (BASE_URL) {
-    bot = new TelegramBot(TELEGRAM_TOKEN);
-    const hookUrl = `${BASE_URL.replace(/\/$/, "")}/telegram-webhook`;
-    bot
-      .setWebHook(hookUrl)
-      .then(() => console.log("✅ Telegram webhook set:", hookUrl))
-      .catch((err) => console.warn("⚠️ Failed to set Telegram webhook:", err?.message || err));
-    console.log("🤖 Telegram Bot Ready (webhook mode)");
-  } else {
+  const db = createDb({ url: SUPABASE_URL, key: SUPABASE_ANON, http: supabase.http, now: clock.now, pageSize: SUPABASE_MAX_ROWS });
+
+  // ---------------- Telegram setup (webhook preferred) ----------------
+  // a bot we build ourselves starts polling / sets its webhook in start()
+  let bot = telegram.bot || null;
+  const telegramHttp = telegram.http || axios;
+  const ownBot = !bot && !!TELEGRAM_TOKEN;
+  let telegramWebhookSet = false;
+  let lastPollingErrorAt = 0;
+  if (ownBot) {
+    bot = new TelegramBot(TELEGRAM_TOKEN, BASE_URL ? {} : { polling: { autoStart: false } });
     // polling fallback with safer error handling
-    bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
     bot.on("polling_error", (err) => {
-      console.error("Telegram polling_error:", err?.response?.body || err?.code || err?.message || err);
-      // don't crash; log only
+      // don't crash; log only (the health check reports recent polling errors)
+      lastPollingErrorAt = Date.now();
+      log.error("telegram polling error", err);
     });
-    console.log("🤖 Telegram Bot Ready (polling mode)");
+  } else if (!bot) {
+    log.warn("TELEGRAM_TOKEN missing, bot disabled");
   }
-} else {
-  console.warn("⚠️ TELEGRAM_TOKEN missing — bot disabled.");
-}
 
-// ---------------- Helpers ----------------
-function nowISO() {
-  return new Date().toISOString();
-}
-function hoursSince(iso) {
-  return (Date.now() - new Date(iso).getTime()) / 3600000;
-}
-async function patch(order_id, patchBody) {
-  const pUrl = `${SUPABASE_URL}/rest/v1/orders?order_id=eq.${encodeURIComponent(order_id)}`;
-  return axios.patch(pUrl, patchBody, { headers: sbHeaders });
-}
-async function safeSend(chatId, text) {
-  if (!bot) return;
-  try {
-    return await bot.sendMessage(chatId, text);
-  } catch (e) {
-    console.error("safeSend error:", e?.response?.data || e?.message || e);
-    try {
-      return await bot.sendMessage(chatId, String(text));
-    } catch (_) {}
+  async function startTelegram() {
+    if (!ownBot) return;
+    if (BASE_URL) {
+      const hookUrl = `${BASE_URL.replace(/\/$/, "")}/telegram-webhook`;
+      try {
+        await bot.setWebHook(hookUrl);
+        telegramWebhookSet = true;
+        log.info("telegram webhook set", { url: hookUrl });
+      } catch (err) {
+        log.error("telegram setWebHook failed", err);
+      }
+      log.info("telegram bot ready", { mode: "webhook" });
+    } else {
+      await bot.startPolling();
+      log.info("telegram bot ready", { mode: "polling" });
+    }
   }
-}
-
-// ---------------- HEALTH ----------------
-app.get("/", (req, res) => res.send("🔥 WC → Supabase Automation Live (final)"));
 
-// ---------------- TELEGRAM WEBHOOK RECEIVER (if webhook mode) ----------------
-app.post("/telegram-webhook", (req, res) => {
-  if (!bot) return res.sendStatus(501);
-  try {
-    bot.processUpdate(req.body);
-    res.sendStatus(200);
-  } catch (e) {
-    console.error("telegram webhook processUpdate error:", e?.message || e);
-    res.sendStatus(500);
+  // intervals registered while building; start() runs them, stop() clears them
+  const schedules = [];
+  function every(ms, fn) {
+    schedules.push({ ms, fn });
   }
-});
 
-/* -------------------
-   Utilities: parse incoming order items robustly
-   Returns array of items: { sku, name, quantity, size, technique }
----------------------*/
-function extractItemsFromIncoming(order) {
-  let rawItems = [];
-  try {
-    if (order.items) {
-      if (typeof order.items === "string") {
-        try { rawItems = JSON.parse(order.items) || []; } catch (_) { rawItems = []; }
-      } else if (Array.isArray(order.items)) {
-        rawItems = order.items;
-      }
-    }
-  } catch (_) { rawItems = []; }
-
-  if (!rawItems.length && Array.isArray(order.line_items)) rawItems = order.line_items;
-  if (!rawItems.length && Array.isArray(order.line_items_data)) rawItems = order.line_items_data;
-  if (!rawItems.length && order?.order && Array.isArray(order.order.line_items)) rawItems = order.order.line_items;
-
-  const items = (rawItems || []).map((it) => {
-    const name = it.name || it.product_name || it.title || "";
-    const sku = it.sku || it.sku_id || (it.skuId ? String(it.skuId) : "") || "";
-    const quantity = Number(it.quantity || it.qty || 1);
-    let size = "";
-    let technique = "";
-
-    const metaCandidates = it.meta || it.meta_data || it.metaData || it.meta_items || [];
-    const metas = Array.isArray(metaCandidates) ? metaCandidates : [];
-
-    metas.forEach((m) => {
-      const key = ((m.key || m.name || m.label || "") + "").toLowerCase();
-      const val = (m.value || m.display_value || m.option || m.label || "") + "";
-      if (!val) return;
-      if (key.includes("size") || key === "pa_sizes" || key === "sizes") {
-        if (!size) size = val;
-      } else if (key.includes("technique") || key === "technique") {
-        if (!technique) technique = val;
-      } else {
-        if ((m.name || "").toLowerCase().includes("size") && !size) size = m.option || m.value || "";
-        if ((m.name || "").toLowerCase().includes("technique") && !technique) technique = m.option || m.value || "";
+  // ---------------- Helpers ----------------
+  function nowISO() {
+    return new Date(clock.now()).toISOString();
+  }
+  function hoursSince(iso) {
+    return (clock.now() - new Date(iso).getTime()) / 3600000;
+  }
+  // yyyy-mm-dd in TIMEZONE (UTC date if TIMEZONE is invalid)
+  function currentDayKey() {
+    const now = DateTime.fromMillis(clock.now()).setZone(TIMEZONE);
+    return now.isValid ? now.toISODate() : nowISO().slice(0, 10);
+  }
+  async function patch(order_id, patchBody) {
+    return db.orders.patch(order_id, patchBody);
+  }
+  async function fetchOrder(order_id) {
+    return db.orders.get(order_id);
+  }
+  async function safeSend(chatId, text, opts = {}) {
+    if (!bot) return;
+    try {
+      return await bot.sendMessage(chatId, text, opts);
+    } catch (e) {
+      metrics.telegramSendFailures.inc({ method: "sendMessage" });
+      log.error("safeSend error", { chatId, err: e });
+      try {
+        return await bot.sendMessage(chatId, String(text));
+      } catch (_) {}
+    }
+  }
+  async function safeSendDocument(chatId, buffer, filename, contentType, caption) {
+    if (!bot) return;
+    try {
+      return await bot.sendDocument(chatId, buffer, caption ? { caption } : {}, { filename, contentType });
+    } catch (e) {
+      metrics.telegramSendFailures.inc({ method: "sendDocument" });
+      log.error("safeSendDocument error", { chatId, filename, err: e });
+      await safeSend(chatId, `⚠️ Failed to send ${filename}.`);
+    }
+  }
+  async function safeSendPhoto(chatId, buffer, filename, caption) {
+    if (!bot) return;
+    try {
+      return await bot.sendPhoto(chatId, buffer, caption ? { caption } : {}, { filename, contentType: "image/png" });
+    } catch (e) {
+      metrics.telegramSendFailures.inc({ method: "sendPhoto" });
+      log.error("safeSendPhoto error", { chatId, filename, err: e });
+      await safeSend(chatId, `⚠️ Failed to send ${filename}.`);
+    }
+  }
+  // Telegram caps messages at 4096 chars; split long reports on line breaks
+  async function sendLong(chatId, text, limit = 4000) {
+    let chunk = "";
+    for (const line of String(text).split("\n")) {
+      if (chunk && chunk.length + line.length + 1 > limit) {
+        await safeSend(chatId, chunk);
+        chunk = "";
       }
-    });
-
-    const attrs = it.attributes || it.variation || it.attributes_data || [];
-    if (!size && Array.isArray(attrs)) {
-      attrs.forEach((a) => {
-        const aKey = ((a.name || a.key || "") + "").toLowerCase();
-        const aVal = (a.option || a.value || "") + "";
-        if (!aVal) return;
-        if (aKey.includes("size") && !size) size = aVal;
-        if (aKey.includes("technique") && !technique) technique = aVal;
-      });
+      chunk += (chunk ? "\n" : "") + line;
     }
-
-    if (!size && it.display && it.display.toLowerCase().includes("size:")) {
-      const m = it.display.match(/size:\s*([^\n,;]+)/i);
-      if (m) size = m[1].trim();
+    if (chunk) await safeSend(chatId, chunk);
+  }
+  function pdfToBuffer(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on("data", (c) => chunks.push(c));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+      doc.end();
+    });
+  }
+  // edit a message in place (inline panels); Telegram rejects identical edits, so errors are logged only
+  async function safeEdit(chatId, messageId, text, opts = {}) {
+    if (!bot) return;
+    try {
+      return await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...opts });
+    } catch (e) {
+      // re-rendering an unchanged panel is expected (e.g. double taps)
+      if (/message is not modified/i.test(e?.response?.body?.description || "")) return log.debug("safeEdit unchanged", { chatId, messageId });
+      metrics.telegramSendFailures.inc({ method: "editMessageText" });
+      log.error("safeEdit error", { chatId, messageId, err: e });
     }
+  }
 
-    return {
-      sku: (sku + "").trim(),
-      name: (name + "").trim(),
-      quantity: quantity || 1,
-      size: (size + "").trim(),
-      technique: (technique + "").trim()
-    };
+  /* ---------------------------------------------------
+     Message templates & the store
+     Supplier dispatch, daily list, order panel and confirmations are
+     templates (syntax in lib/templates.js, defaults in templates/*.txt);
+     a row in message_templates overrides the file. templates/store.json
+     has the sender details and default shipment mode; orders.shipment_mode
+     overrides the mode per order. One deployment serves one store, the one
+     WC_API_URL points at: order ids are only unique within a store and every
+     Woo write goes to WC_API_URL, so a second store runs its own server,
+     Supabase project and store.json, and its webhooks are refused here.
+  --------------------------------------------------- */
+  const templates = createTemplateStore({
+    dir: TEMPLATES_DIR,
+    loadRows: () => db.select("message_templates", { select: "name,body" })
   });
 
-  return items;
-}
-app.post("/woocommerce-webhook", async (req, res) => {
-  console.log("🔥 WC WEBHOOK RECEIVED");
-  console.log(JSON.stringify(req.body, null, 2));
-
-/* -------------------------------
-   /woocommerce-webhook
-   Accepts Woo order JSON, maps to orders table with items JSON, sizes, technique aggregated.
----------------------------------*/
-app.post("/woocommerce-webhook", async (req, res) => {
+  let STORE = { name: "", phone: "", address: "", shipment_mode: "Normal", sources: [] };
   try {
-    const order = req.body.order || req.body || {};
-    if (!order?.id) return res.send("NO ORDER");
-
-    const items = extractItemsFromIncoming(order);
-
-    // ✅ SAFE BILLING FALLBACK CHAIN
-    const billing =
-      order.billing ||
-      order.billing_address ||
-      order.shipping ||
-      order.shipping_address ||
-      {};
-
-    const name =
-      billing.first_name && billing.last_name
-        ? `${billing.first_name} ${billing.last_name}`
-        : billing.first_name ||
-          billing.name ||
-          "";
-
-    const mapped = {
-      order_id: String(order.id),
-      wc_order_id: order.id,
-
-      // 👤 CUSTOMER (ONLY SET IF EXISTS)
-      name: name || null,
-      phone: billing.phone || billing.phone_number || null,
-      email: billing.email || null,
-
-      // 📦 ORDER
-      amount: Number(order.total || 0),
-      product: items.map(i => i.name).join(" | "),
-      sku: items.map(i => i.sku).join(" | "),
-      sizes: [...new Set(items.map(i => i.size).filter(Boolean))].join(", "),
-      technique: [...new Set(items.map(i => i.technique).filter(Boolean))].join(", "),
-      quantity: items.reduce((s, i) => s + (i.quantity || 1), 0),
-
-      // 📍 ADDRESS
-      address: [
-        billing.address_1,
-        billing.address_2,
-        billing.city
-      ].filter(Boolean).join(", ") || null,
-
-      state: billing.state || null,
-      pincode: billing.postcode || billing.postal_code || null,
-
-      // 🧠 STATUS
-      status: "pending_payment",
-      created_at: nowISO(),
+    STORE = { ...STORE, ...JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, "store.json"), "utf8")) };
+  } catch (e) {
+    log.error("store.json load failed", e);
+  }
 
-      items: JSON.stringify(items)
-    };
+  async function refreshTemplates() {
+    try {
+      await templates.refresh();
+    } catch (e) {
+      log.warn("message_templates load failed, using template files", e);
+    }
+  }
+  if (TEMPLATES_REFRESH_MINUTES > 0) every(TEMPLATES_REFRESH_MINUTES * 60 * 1000, refreshTemplates);
+
+  // a webhook whose X-WC-Webhook-Source (store URL) is not one of store.json "sources"
+  function fromOtherStore(source) {
+    const norm = (u) => String(u || "").trim().replace(/\/+$/, "").toLowerCase();
+    const src = norm(source);
+    const own = (STORE.sources || []).map(norm).filter(Boolean);
+    if (!src || !own.length) return false;
+    return !own.some(u => src.startsWith(u));
+  }
 
-    // ✅ UPSERT (DO NOT OVERWRITE WITH NULLS)
-    await axios.post(
-      `${SUPABASE_URL}/rest/v1/orders?on_conflict=order_id`,
-      mapped,
-      {
-        headers: {
-          ...sbHeaders,
-          Prefer: "resolution=merge-duplicates"
-        }
-      }
-    );
+  // what the Woo order itself tells us (COD payment, an "express" shipping line); null = store default
+  // cash on delivery: the supplier collects the amount, no payment reminders
+  function isCod(order) {
+    return String(order?.payment_method || "").toLowerCase() === "cod";
+  }
 
-    res.send("OK");
-  } catch (e) {
-    console.error("WC WEBHOOK ERROR:", e?.response?.data || e);
-    res.send("ERR");
-  }
-});
-/* ---------------------------------------------------
-   /menu  → show commands
---------------------------------------------------- */
-if (bot) {
-  bot.onText(/\/menu/i, async (msg) => {
-    const chatId = msg.chat.id;
-    const text =
-`VisionsJersey Bot Commands:
+  function inferShipmentMode(wooOrder) {
+    if (isCod(wooOrder)) return "COD";
+    const lines = Array.isArray(wooOrder?.shipping_lines) ? wooOrder.shipping_lines : [];
+    if (lines.some(l => /express/i.test(`${l.method_id || ""} ${l.method_title || ""}`))) return "Express";
+    return null;
+  }
 
-/order <order_id> - show order panel
-/paid <order_id> - mark paid, woo->processing, send supplier format & today's list
-/resend_qr <order_id> - flag for AutoJS
-/track <order_id> <phone> <tracking_id>
-/export_today - list today's orders (created_at)
-/today - list today's paid orders (paid_order_items)
-/clear_today - hide today's paid view (local only)
-/paidorders - choose date (D-3..D+3)
+  function shipmentModeFor(order) {
+    return order?.shipment_mode || STORE.shipment_mode || "Normal";
+  }
 
-DELETE (use preview first):
-/delete_today_preview - preview which paid_order_items will be deleted (safe)
-/delete_today_confirm - permanently delete today's paid_order_items and mark orders deleted
-`;
-    await safeSend(chatId, text);
-  });
-}
+  function orderTemplateData(order, extra = {}) {
+    return {
+      ...order,
+      store: STORE,
+      shipment_mode: shipmentModeFor(order),
+      cod: isCod(order),
+      cod_amount: order?.amount || 0,
+      ...extra
+    };
+  }
 
-/* ---------------------------------------------------
-   Core: mark paid logic
---------------------------------------------------- */
-async function handleMarkPaid(chatId, orderId) {
-  console.log("handleMarkPaid:", orderId);
-  // 1) Fetch order
-  let fetchRes;
-  try {
-    fetchRes = await axios.get(
-      `${SUPABASE_URL}/rest/v1/orders?order_id=eq.${encodeURIComponent(orderId)}&select=*`,
-      { headers: sbHeaders }
-    );
-  } catch (err) {
-    console.error("fetch order error:", err?.response?.data || err?.message || err);
-    await safeSend(chatId, `❌ Failed fetching ${orderId}.`);
-    return;
+  function renderMessage(name, data) {
+    return templates.render(name, data, {
+      onBroken: (t, e) => log.error("template broken", { template: t.name, source: t.source, err: e })
+    }).trimEnd();
   }
 
-  if (!fetchRes?.data?.length) {
-    await safeSend(chatId, `❌ Order ${orderId} not found in Supabase.`);
-    return;
+  /* ---------------------------------------------------
+     Outbox: durable retry queue for failed writes
+     A failed Supabase or WooCommerce write is saved to OUTBOX_FILE as a
+     job with the last error, and retried with exponential backoff (30s,
+     1m, 2m ... 6h). { kind: "db", call, args } replays a typed lib/db.js
+     method (call "paidItems.insert", args [rows]); { kind: "supabase" |
+     "woo", method, path, body, prefer } replays a raw request.
+     After OUTBOX_MAX_ATTEMPTS a job is "stuck": it stays in the file, the
+     admin chat is told, and /failures can retry or discard it.
+     A Woo status PUT is a full snapshot, so a newer one for the same order
+     drops any older one still queued (jobs don't replay out of order).
+     Credentials are never stored; they are added when a job runs.
+  --------------------------------------------------- */
+  let outbox = [];
+  try {
+    outbox = JSON.parse(fs.readFileSync(OUTBOX_FILE, "utf8"));
+    if (outbox.length) log.info("outbox loaded", { jobs: outbox.length });
+  } catch (e) {
+    if (e.code !== "ENOENT") log.error("outbox load failed", e);
   }
-  const order = fetchRes.data[0];
 
-  // 2) Update WooCommerce -> processing (best-effort)
-  if (WC_USER && WC_PASS) {
+  function saveOutbox() {
     try {
-      await axios.put(
-        `https://visionsjersey.com/wp-json/wc/v3/orders/${orderId}`,
-        { status: "processing" },
-        { auth: { username: WC_USER, password: WC_PASS } }
-      );
-      console.log("✔ WooCommerce updated to processing:", orderId);
+      fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+      const tmp = `${OUTBOX_FILE}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(outbox, null, 2));
+      fs.renameSync(tmp, OUTBOX_FILE);
     } catch (e) {
-      console.error("WooCommerce update failed:", e?.response?.data || e?.message || e);
+      log.error("outbox save failed", e);
     }
-  } else {
-    console.log("WC credentials not configured; skipping Woo update.");
   }
 
-  // 3) Update Supabase -> mark paid
-  try {
-    await axios.patch(
-      `${SUPABASE_URL}/rest/v1/orders?order_id=eq.${encodeURIComponent(orderId)}`,
-      {
-        status: "paid",
-        paid_at: nowISO(),
-        paid_message_pending: true,
-        reminder_24_sent: true,
-        reminder_48_sent: true,
-        reminder_72_sent: true,
-        next_message: null,
-        hidden_from_today: false
-      },
-      { headers: sbHeaders }
-    );
-  } catch (e) {
-    console.error("Supabase patch (paid) failed:", e?.response?.data || e?.message || e);
+  function errorText(e) {
+    const data = e?.response?.data;
+    const detail = data ? (typeof data === "string" ? data : JSON.stringify(data)) : e?.message || String(e);
+    return `${e?.response?.status ? `HTTP ${e.response.status}: ` : ""}${detail}`.slice(0, 500);
   }
 
-  // Normalize items
-  let items = [];
-  try {
-    if (order.items) {
-      try { items = JSON.parse(order.items); } catch (_) { items = extractItemsFromIncoming(order); }
-    } else {
-      items = extractItemsFromIncoming(order);
-    }
-    if (!items.length && order.product && order.sku) {
-      const prods = (order.product + "").split("|").map(s => s.trim()).filter(Boolean);
-      const sks = (order.sku + "").split("|").map(s => s.trim()).filter(Boolean);
-      const sizes = (order.sizes || "").split(",").map(s => s.trim()).filter(Boolean);
-      const techs = (order.technique || "").split(",").map(s => s.trim()).filter(Boolean);
-      for (let i = 0; i < Math.max(prods.length, sks.length); i++) {
-        items.push({
-          name: prods[i] || "",
-          sku: sks[i] || "",
-          quantity: 1,
-          size: sizes[i] || sizes[0] || "",
-          technique: techs[i] || techs[0] || ""
-        });
-      }
-    }
-  } catch (e) {
-    console.error("items normalization error:", e);
-    items = [];
+  function outboxBackoffMs(attempts) {
+    return Math.min(30 * 1000 * 2 ** Math.max(attempts - 1, 0), 6 * 3600 * 1000);
   }
 
-  // 4) Insert into paid_order_items (day = today)
-  try {
-    let dayKey;
-    try { dayKey = DateTime.now().setZone(TIMEZONE).toISODate(); } catch (_) { dayKey = new Date().toISOString().slice(0, 10); }
+  async function executeJob(job) {
+    if (job.kind === "db") {
+      const [repo, method] = String(job.call).split(".");
+      if (typeof db[repo]?.[method] !== "function") throw new Error(`unknown db call: ${job.call}`);
+      return db[repo][method](...job.args);
+    }
+    if (job.kind === "supabase") return db.raw(job);
+    if (job.kind === "woo") {
+      if (!WC_USER || !WC_PASS) throw new Error("WC credentials not configured");
+      return wooHttp({
+        method: job.method,
+        url: `${WC_API_URL}/${job.path}`,
+        data: job.body,
+        auth: { username: WC_USER, password: WC_PASS },
+        timeout: 15000
+      });
+    }
+    throw new Error(`unknown outbox job kind: ${job.kind}`);
+  }
 
-    const paidItem = {
-      day: dayKey,
-      order_id: order.order_id || String(orderId),
-      name: order.name || "",
-      amount: order.amount || 0,
-      sku: (items.map(i => i.sku).filter(Boolean).join(" | ")) || (order.sku || ""),
-      sizes: (items.map(i => i.size).filter(Boolean).join(", ")) || (order.sizes || ""),
-      technique: (items.map(i => i.technique).filter(Boolean).join(", ")) || (order.technique || ""),
-      created_at: nowISO()
+  // persist a failed operation; `label` is what /failures shows
+  function enqueueJob(op, label, err) {
+    const job = {
+      id: crypto.randomBytes(4).toString("hex"),
+      ...op,
+      label,
+      attempts: 1,
+      last_error: errorText(err),
+      status: "pending",
+      created_at: nowISO(),
+      next_attempt_at: new Date(clock.now() + outboxBackoffMs(1)).toISOString()
     };
+    outbox.push(job);
+    saveOutbox();
+    log.warn("outbox job queued", { jobId: job.id, label, error: job.last_error });
+    return job;
+  }
 
-    await axios.post(`${SUPABASE_URL}/rest/v1/paid_order_items`, paidItem, { headers: sbHeaders });
-  } catch (e) {
-    console.error("Insert paid_order_items failed:", e?.response?.data || e?.message || e);
+  // forget queued jobs a newer write makes obsolete (pending or stuck)
+  function dropQueuedJobs(match, reason) {
+    const dropped = outbox.filter(match);
+    if (!dropped.length) return;
+    outbox = outbox.filter(j => !dropped.includes(j));
+    saveOutbox();
+    dropped.forEach(j => log.info("outbox job dropped", { jobId: j.id, label: j.label, reason }));
+  }
+
+  // run now; on failure queue it and return false
+  async function runOrQueue(op, label) {
+    try {
+      await executeJob(op);
+      return true;
+    } catch (e) {
+      log.error(`${op.kind} write failed`, { label, err: e });
+      enqueueJob(op, label, e);
+      return false;
+    }
   }
 
-  // 5) Build supplier format EXACT requested layout (forced size+technique)
-try {
-  const skuLines = [];
-  const productLines = [];
+  async function retryJob(job) {
+    try {
+      await executeJob(job);
+      outbox = outbox.filter(j => j.id !== job.id);
+      saveOutbox();
+      log.info("outbox job done", { jobId: job.id, label: job.label });
+      return true;
+    } catch (e) {
+      job.attempts += 1;
+      job.last_error = errorText(e);
+      if (job.attempts >= OUTBOX_MAX_ATTEMPTS) {
+        job.status = "stuck";
+        job.next_attempt_at = null;
+        if (ADMIN_CHAT_ID) await safeSend(ADMIN_CHAT_ID, `📮 Stuck after ${job.attempts} attempts: ${job.label}\n${job.last_error}\n\nSee /failures`);
+      } else {
+        job.next_attempt_at = new Date(clock.now() + outboxBackoffMs(job.attempts)).toISOString();
+      }
+      saveOutbox();
+      return false;
+    }
+  }
 
-  // Prepare forced sizes/techniques arrays
-  const sizeArr = (order.sizes || "").split(",").map(s => s.trim());
-  const techArr = (order.technique || "").split(",").map(s => s.trim());
+  let outboxRunning = false;
+  async function processOutbox() {
+    if (outboxRunning) return;
+    outboxRunning = true;
+    try {
+      const now = clock.now();
+      const due = outbox.filter(j => j.status === "pending" && new Date(j.next_attempt_at).getTime() <= now);
+      for (const job of due) await retryJob(job);
+    } finally {
+      outboxRunning = false;
+    }
+  }
 
-  items.forEach((it, idx) => {
-    const sku = it.sku || "-";
-    const name = it.name || "-";
+  if (OUTBOX_INTERVAL_SECONDS > 0) every(OUTBOX_INTERVAL_SECONDS * 1000, processOutbox);
+
+  /* ---------------------------------------------------
+     Access control
+     Roles come from ADMIN_IDS (always admin) and the bot_users table
+     (telegram_id, role, name); anyone writing in SUPPLIER_CHAT_ID without
+     a role is treated as the supplier. Every bot.onText handler is wrapped
+     here, and the callback dispatcher / free-text handlers call authorize()
+     too, so a command's allowed roles live only in COMMAND_ROLES.
+     A message can match several handlers ("/today /grant 77 admin" runs
+     both), so each handler is authorized for the command its own pattern
+     matched, never for the first command in the text.
+  --------------------------------------------------- */
+  const ROLES = ["admin", "staff", "supplier"];
+  const STAFF_ROLES = ["admin", "staff"];
+  const ADMIN_ONLY = ["admin"];
+
+  // commands not listed here are admin-only
+  const COMMAND_ROLES = {
+    menu: ROLES,
+    today: ROLES,
+    labels: ROLES,
+    // the supplier role is the whole supplier chat, so it may read stock but
+    // not rewrite it; /grant a supplier user "staff" to let them correct counts
+    stock: ROLES,
+    stock_set: STAFF_ROLES,
+    order: STAFF_ROLES,
+    paid: STAFF_ROLES,
+    unpaid: STAFF_ROLES,
+    resend_qr: STAFF_ROLES,
+    track: STAFF_ROLES,
+    cancel_track: STAFF_ROLES,
+    paidorders: STAFF_ROLES,
+    export_today: STAFF_ROLES,
+    find: STAFF_ROLES,
+    customer: STAFF_ROLES,
+    reconcile: STAFF_ROLES,
+    stats: STAFF_ROLES,
+    supplier_summary: STAFF_ROLES,
+    shipment_mode: STAFF_ROLES,
+    revive: STAFF_ROLES,
+    cancel: ADMIN_ONLY,
+    clear_today: STAFF_ROLES,
+    restore_today: STAFF_ROLES,
+    delete_today_preview: ADMIN_ONLY,
+    delete_today_confirm: ADMIN_ONLY,
+    failures: ADMIN_ONLY,
+    users: ADMIN_ONLY,
+    grant: ADMIN_ONLY,
+    revoke: ADMIN_ONLY,
+    templates: ADMIN_ONLY,
+    template_preview: ADMIN_ONLY
+  };
+
+  const USERS_CACHE_TTL_MS = 5 * 60 * 1000;
+  let botUsers = new Map(); // telegram_id -> { telegram_id, role, name }
+  let botUsersLoadedAt = 0;
+
+  async function loadBotUsers(force = false) {
+    if (!force && clock.now() - botUsersLoadedAt < USERS_CACHE_TTL_MS) return botUsers;
+    try {
+      const rows = await db.select("bot_users", { select: "telegram_id,role,name" });
+      botUsers = new Map(rows.map(u => [String(u.telegram_id), u]));
+      botUsersLoadedAt = clock.now();
+    } catch (e) {
+      // keep the previous list; ADMIN_IDS still work
+      log.error("bot_users load failed", e);
+    }
+    return botUsers;
+  }
 
-    const forcedSize = (sizeArr[idx] || sizeArr[0] || "").toUpperCase();
-    const forcedTech = (techArr[idx] || techArr[0] || "").replace(/-/g, " ");
+  async function roleFor(userId, chatId) {
+    if (userId != null && ADMIN_IDS.includes(String(userId))) return "admin";
+    const users = await loadBotUsers();
+    const u = userId != null ? users.get(String(userId)) : null;
+    if (u && ROLES.includes(u.role)) return u.role;
+    if (SUPPLIER_CHAT_ID && String(chatId) === String(SUPPLIER_CHAT_ID)) return "supplier";
+    return null;
+  }
 
-    skuLines.push(`${idx + 1}.${sku}`);
+  // how a Telegram user is shown in audit rows / history notes
+  function actorName(from) {
+    return from?.username ? `@${from.username}` : [from?.first_name, from?.last_name].filter(Boolean).join(" ") || String(from?.id || "");
+  }
 
-    productLines.push(
-      `${idx + 1}. ${name} • size: ${forcedSize} • Technique: ${forcedTech}`
-    );
-  });
+  function commandName(text) {
+    const m = /^\/([a-z0-9_]+)/i.exec(String(text || "").trim());
+    return m ? m[1].toLowerCase() : null;
+  }
 
-  const supplierText =
-`📦 NEW PAID ORDER
+  async function authorize(from, chatId, command) {
+    const role = await roleFor(from?.id, chatId);
+    const allowed = COMMAND_ROLES[command] || ADMIN_ONLY;
+    if (role && allowed.includes(role)) return true;
+    log.warn("unauthorized", { userId: from?.id, username: from?.username, role, chatId, command });
+    return false;
+  }
 
-From:
-Vision Jerseys 
-+91 93279 05965
+  if (bot) {
+    if (!ADMIN_IDS.length) log.warn("ADMIN_IDS empty, only users in bot_users can run commands");
+    const onText = bot.onText.bind(bot);
+    bot.onText = (regexp, callback) => onText(regexp, async (msg, match) => {
+      const command = commandName(match?.[0]);
+      if (!(await authorize(msg.from, msg.chat.id, command))) {
+        return safeSend(msg.chat.id, "⛔ You are not allowed to use this command.");
+      }
+      return callback(msg, match);
+    });
+  }
 
-To:
-Name: ${order.name || ""}
-Address: ${order.address || ""}
-State: ${order.state || ""}
-Pincode: ${order.pincode || ""}
-Phone: ${order.phone || ""}
+  // ---------------- HEALTH ----------------
+  // 200 when Supabase answers and the bot is polling / has its webhook; 503 otherwise
+  async function checkSupabase() {
+    const started = Date.now();
+    try {
+      await db.request("GET", "orders", { query: { select: "order_id", limit: 0 }, timeout: 5000 });
+      return { ok: true, ms: Date.now() - started };
+    } catch (e) {
+      return { ok: false, ms: Date.now() - started, error: e?.response?.status ? `HTTP ${e.response.status}` : e?.code || e?.message || String(e) };
+    }
+  }
 
-SKU ID:
-${skuLines.join("\n")}
+  function botStatus() {
+    if (!bot) return { ok: true, enabled: false };
+    if (BASE_URL) return { ok: telegramWebhookSet, enabled: true, mode: "webhook" };
+    const recentError = lastPollingErrorAt && Date.now() - lastPollingErrorAt < 2 * 60 * 1000;
+    return {
+      ok: bot.isPolling() && !recentError,
+      enabled: true,
+      mode: "polling",
+      lastPollingError: lastPollingErrorAt ? new Date(lastPollingErrorAt).toISOString() : null
+    };
+  }
 
-Product:
-${productLines.join("\n\n")}
+  app.get("/", async (req, res) => {
+    const supabase = await checkSupabase();
+    const telegram = botStatus();
+    const ok = supabase.ok && telegram.ok;
+    if (!ok) req.log.warn("health check failing", { supabase, telegram });
+    res.status(ok ? 200 : 503).json({
+      status: ok ? "ok" : "degraded",
+      uptime_s: Math.round(process.uptime()),
+      supabase,
+      telegram,
+      outbox: outbox.length
+    });
+  });
 
-Quantity: ${order.quantity || items.reduce((s, it) => s + (it.quantity || 1), 0)}
+  // Prometheus scrape endpoint
+  app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN && req.get("Authorization") !== `Bearer ${METRICS_TOKEN}`) return res.sendStatus(401);
+    res.type("text/plain; version=0.0.4").send(registry.render());
+  });
 
-Shipment Mode: Normal
-`;
+  // ---------------- TELEGRAM WEBHOOK RECEIVER (if webhook mode) ----------------
+  app.post("/telegram-webhook", (req, res) => {
+    if (!bot) return res.sendStatus(501);
+    try {
+      bot.processUpdate(req.body);
+      res.sendStatus(200);
+    } catch (e) {
+      log.error("telegram webhook processUpdate error", e);
+      res.sendStatus(500);
+    }
+  });
 
-  if (SUPPLIER_CHAT_ID) await safeSend(SUPPLIER_CHAT_ID, supplierText);
-  await safeSend(chatId, supplierText);
+  /* -------------------------------
+     Order status sync (WooCommerce <-> orders.status)
+     Woo statuses are mapped onto ours; incoming updates never move an order
+     backwards (e.g. paid -> pending_payment), and every transition is
+     written to order_status_history.
+  ---------------------------------*/
+  const WOO_TO_LOCAL_STATUS = {
+    pending: "pending_payment",
+    "on-hold": "pending_payment",
+    failed: "pending_payment",
+    "checkout-draft": "pending_payment",
+    processing: "paid",
+    completed: "completed",
+    cancelled: "cancelled",
+    refunded: "refunded"
+  };
+  const STATUS_RANK = { pending_payment: 0, paid: 1, completed: 2 };
+  const PAID_STATUSES = ["paid", "completed"];
+
+  // local status -> Woo status, used when a local change has to be pushed back (e.g. /unpaid)
+  const LOCAL_TO_WOO_STATUS = {
+    pending_payment: "pending",
+    paid: "processing",
+    completed: "completed",
+    cancelled: "cancelled",
+    refunded: "refunded",
+    expired: "cancelled"
+  };
+
+  function mapWooStatus(wooStatus) {
+    return WOO_TO_LOCAL_STATUS[String(wooStatus || "").toLowerCase()] || null;
+  }
 
-} catch (e) {
-  console.error("Failed to build/send supplier text:", e?.message || e);
-}
-  // 6) Build today's paid list (short format A)
-  try {
-    let dayKey;
-    try { dayKey = DateTime.now().setZone(TIMEZONE).toISODate(); } catch (_) { dayKey = new Date().toISOString().slice(0, 10); }
+  // Woo's COD gateway creates orders straight in "processing" although nothing is paid:
+  // they wait as pending_payment (no reminders, no expiry) until staff /paid them for dispatch
+  function mapWooOrderStatus(wooOrder) {
+    const status = mapWooStatus(wooOrder?.status);
+    return status === "paid" && isCod(wooOrder) ? "pending_payment" : status;
+  }
 
-    const paidItemsRes = await axios.get(
-      `${SUPABASE_URL}/rest/v1/paid_order_items?day=eq.${encodeURIComponent(dayKey)}&select=order_id,name,created_at`,
-      { headers: sbHeaders, timeout: 10000 }
-    );
-    const saved = paidItemsRes.data || [];
+  // cancelled/refunded may happen from anywhere; otherwise only move forward
+  function canTransition(from, to) {
+    if (!to || from === to) return false;
+    if (!from) return true;
+    // our own expiry cancels the Woo order; its "cancelled" echo must not overwrite "expired"
+    if (from === "expired" && to === "cancelled") return false;
+    if (to === "cancelled" || to === "refunded") return true;
+    if (!(from in STATUS_RANK)) return to !== "pending_payment";
+    return STATUS_RANK[to] > STATUS_RANK[from];
+  }
 
-    let headerDate;
-    try { headerDate = DateTime.now().setZone(TIMEZONE).toFormat("yyyy-LL-dd"); } catch (_) { headerDate = new Date().toISOString().slice(0, 10); }
+  async function recordStatusChange(orderId, from, to, source, note) {
+    return runOrQueue({
+      kind: "supabase",
+      method: "POST",
+      path: "order_status_history",
+      body: {
+        order_id: String(orderId),
+        from_status: from || null,
+        to_status: to,
+        source,
+        note: note || null,
+        created_at: nowISO()
+      },
+      prefer: "return=minimal"
+    }, `order_status_history ${orderId} ${from || "-"} → ${to}`);
+  }
 
-    let listText = `${headerDate} orders 🌼\n\n`;
-    if (!saved.length) {
-      listText += "No paid orders for today yet.";
-    } else {
-      saved.forEach((r, idx) => {
-        let dateStr = r.created_at || "";
-        try { dateStr = DateTime.fromISO(r.created_at).setZone(TIMEZONE).toFormat("dd/LL/yyyy"); } catch (_) {}
-        listText += `${idx + 1}. ${r.name || "-"} (${r.order_id}) 📦  # ${dateStr}\n`;
-      });
+  // best-effort push of a Woo status; returns true when Woo accepted it
+  async function updateWooStatus(order, wooStatus) {
+    const wooId = order?.wc_order_id || order?.order_id || order;
+    if (!WC_USER || !WC_PASS) {
+      log.info("WC credentials not configured, skipping Woo update");
+      return false;
     }
-    await safeSend(chatId, listText);
-  } catch (e) {
-    console.error("Failed to build today's list:", e?.response?.data || e?.message || e);
-    await safeSend(chatId, "Today's paid list couldn't be loaded from DB.");
+    const path = `orders/${encodeURIComponent(wooId)}`;
+    // each status PUT is a full snapshot: an older one still queued (e.g. /paid's "processing"
+    // before /unpaid's "pending") must not replay after this one and win
+    dropQueuedJobs(j => j.kind === "woo" && j.method === "PUT" && j.path === path && j.body?.status != null, `superseded by ${wooStatus}`);
+    const ok = await runOrQueue(
+      { kind: "woo", method: "PUT", path, body: { status: wooStatus } },
+      `WooCommerce ${wooId} → ${wooStatus}`
+    );
+    if (ok) log.info("woo status updated", { wooId, status: wooStatus });
+    return ok;
   }
 
-  // final confirmation
-  await safeSend(chatId, `✅ Order ${orderId} marked paid.\nWooCommerce → processing (attempted)\nSupabase updated.\nCustomer thank-you will be sent automatically by AutoJS.`);
-}
+  /* -------------------------------
+     Webhook authenticity + delivery dedupe
+     Woo signs each delivery: base64(HMAC-SHA256(raw body, webhook secret))
+     in X-WC-Webhook-Signature, and tags it with X-WC-Webhook-Delivery-ID.
+     Seen delivery ids are stored in webhook_deliveries so retries are no-ops.
+  ---------------------------------*/
+  function verifyWooSignature(rawBody, signature) {
+    if (!WC_WEBHOOK_SECRET) return WC_WEBHOOK_ALLOW_UNSIGNED;
+    if (!rawBody || !signature) return false;
+    const expected = crypto.createHmac("sha256", WC_WEBHOOK_SECRET).update(rawBody).digest();
+    let given;
+    try { given = Buffer.from(String(signature), "base64"); } catch (_) { return false; }
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Woo "ping" sent when a webhook is created/saved: form body `webhook_id=<n>`, no order
+  function isWooPing(req) {
+    const body = req.body || {};
+    return !!body.webhook_id && !body.id && !body.order;
+  }
 
-/* ---------------------------------------------------
-   /paid command (Telegram)
---------------------------------------------------- */
-if (bot) {
-  bot.onText(/\/paid\s+(.+)/i, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const orderId = match[1]?.trim();
-    if (!orderId) return safeSend(chatId, "❌ Use: /paid <order_id>");
+  async function deliverySeen(deliveryId) {
+    if (!deliveryId) return false;
     try {
-      await handleMarkPaid(chatId, orderId);
-    } catch (err) {
-      console.error("/paid error:", err?.response?.data || err?.message || err);
-      await safeSend(chatId, "⚠️ Error processing /paid. Check logs.");
+      const rows = await db.select("webhook_deliveries", { delivery_id: op.eq(deliveryId), select: "delivery_id" });
+      return !!rows.length;
+    } catch (e) {
+      // fail open: the orders upsert is idempotent on order_id anyway
+      log.error("webhook_deliveries lookup failed", e);
+      return false;
     }
-  });
-}
-
-/* ---------------------------------------------------
-   Other helper commands (order panel, resend_qr, track, today, paidorders)
---------------------------------------------------- */
+  }
 
-// /order (panel)
-if (bot) {
-  bot.onText(/\/order\s+(.+)/i, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const orderId = match[1]?.trim();
-    if (!orderId) return safeSend(chatId, "Usage: /order <order_id>");
+  async function recordDelivery(deliveryId, req, resourceId) {
+    if (!deliveryId) return;
     try {
-      const resp = await axios.get(
-        `${SUPABASE_URL}/rest/v1/orders?order_id=eq.${encodeURIComponent(orderId)}&select=*`,
-        { headers: sbHeaders }
+      await db.insert(
+        "webhook_deliveries",
+        {
+          delivery_id: String(deliveryId),
+          topic: req.get("X-WC-Webhook-Topic") || null,
+          resource_id: resourceId != null ? String(resourceId) : null,
+          received_at: nowISO()
+        },
+        { onConflict: "delivery_id", resolution: "ignore-duplicates", returning: false }
       );
-      if (!resp.data.length) return safeSend(chatId, `❌ Order ${orderId} not found.`);
-      const o = resp.data[0];
-      const text = `📦 Order #${o.order_id}\n\nName: ${o.name || ""}\nAmount: ₹${o.amount || 0}\nProduct: ${o.product || ""}\nSize: ${o.sizes || ""}\nTechnique: ${o.technique || ""}`;
-      const keyboard = {
-        inline_keyboard: [
-          [{ text: "✅ Mark Paid", callback_data: `order_paid:${o.order_id}` }, { text: "🔁 Resend QR", callback_data: `order_resend:${o.order_id}` }],
-          [{ text: "📦 Track", callback_data: `order_track:${o.order_id}` }, { text: "❌ Cancel", callback_data: `order_cancel:${o.order_id}` }]
-        ]
-      };
-      await bot.sendMessage(chatId, text, { reply_markup: keyboard });
     } catch (e) {
-      console.error("/order error:", e?.response?.data || e?.message || e);
-      await safeSend(chatId, "⚠️ Failed to load order.");
+      log.error("webhook_deliveries insert failed", e);
     }
-  });
-}
+  }
 
-// /resend_qr
-if (bot) {
-  bot.onText(/\/resend_qr\s+(.+)/i, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const id = match[1]?.trim();
-    if (!id) return safeSend(chatId, "Usage: /resend_qr <order_id>");
-    try {
-      await axios.patch(`${SUPABASE_URL}/rest/v1/orders?order_id=eq.${encodeURIComponent(id)}`, { resend_qr_pending: true }, { headers: sbHeaders });
-      await safeSend(chatId, `🔁 QR resend triggered for order ${id}.`);
-    } catch (e) {
-      console.error("/resend_qr error:", e?.response?.data || e?.message || e);
-      await safeSend(chatId, "⚠️ Failed to set resend flag.");
+  // payment method, shipping, discount, coupons and the customer note, under
+  // both the wc/v3 and the legacy API names; fields Woo left out are not set
+  function wooPaymentFields(order) {
+    const legacy = order.payment_details || {};
+    const total = (v) => (v == null || v === "" ? undefined : Number(v) || 0);
+    const fields = {
+      payment_method: order.payment_method ?? legacy.method_id,
+      payment_method_title: order.payment_method_title ?? legacy.method_title,
+      shipping_total: total(order.shipping_total ?? order.total_shipping),
+      discount_total: total(order.discount_total ?? order.total_discount),
+      coupon_codes: Array.isArray(order.coupon_lines)
+        ? order.coupon_lines.map(c => c.code).filter(Boolean).join(", ")
+        : undefined,
+      customer_note: order.customer_note ?? order.note
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined && v !== null));
+  }
+
+  /* -------------------------------
+     /woocommerce-webhook
+     Accepts Woo order JSON, maps to orders table with items JSON, sizes, technique aggregated.
+  ---------------------------------*/
+  app.post("/woocommerce-webhook", async (req, res) => {
+    const deliveryId = req.get("X-WC-Webhook-Delivery-ID") || null;
+    const wlog = req.log.child({ deliveryId, topic: req.get("X-WC-Webhook-Topic") || null });
+    metrics.webhooksReceived.inc();
+    wlog.info("woo webhook received");
+
+    if (isWooPing(req)) {
+      wlog.info("woo webhook ping", { webhookId: req.body.webhook_id });
+      return res.send("PONG");
     }
-  });
-}
 
-// /track
-if (bot) {
-  bot.onText(/\/track\s+(\S+)\s+(\S+)\s+(\S+)/i, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const [_, orderId, phone, tracking] = match;
-    try {
-      await patch(orderId, { tracking_sent: true, status: "completed" });
-      await safeSend(chatId, `📦 Tracking set:\nOrder: ${orderId}\nPhone: ${phone}\nTracking ID: ${tracking}`);
-    } catch (e) {
-      console.error("/track error:", e?.response?.data || e?.message || e);
-      await safeSend(chatId, "⚠️ Failed to update tracking.");
+    if (!WC_WEBHOOK_SECRET && !WC_WEBHOOK_ALLOW_UNSIGNED) {
+      metrics.webhooksFailed.inc({ reason: "no_secret" });
+      wlog.error("woo webhook rejected: WC_WEBHOOK_SECRET is not configured");
+      return res.status(503).send("WEBHOOK SECRET NOT CONFIGURED");
     }
-  });
-}
 
-// /today - ALWAYS read from paid_order_items only
-if (bot) {
-  bot.onText(/\/today/i, async (msg) => {
-    const chatId = msg.chat.id;
+    if (!verifyWooSignature(req.rawBody, req.get("X-WC-Webhook-Signature"))) {
+      metrics.webhooksFailed.inc({ reason: "bad_signature" });
+      wlog.warn("woo webhook rejected: bad signature");
+      return res.status(401).send("BAD SIGNATURE");
+    }
 
-    let todayKey;
-    try { todayKey = DateTime.now().setZone(TIMEZONE).toISODate(); }
-    catch (_) { todayKey = new Date().toISOString().slice(0,10); }
+    const source = req.get("X-WC-Webhook-Source");
+    if (fromOtherStore(source)) {
+      metrics.webhooksFailed.inc({ reason: "other_store" });
+      wlog.warn("woo webhook rejected: another store", { source });
+      return res.status(403).send("WRONG STORE");
+    }
 
-    try {
-      const res = await axios.get(
-        `${SUPABASE_URL}/rest/v1/paid_order_items?day=eq.${todayKey}&select=order_id,name,created_at`,
-        { headers: sbHeaders }
-      );
+    // full payload only at LOG_LEVEL=debug (PII keys are redacted by the logger)
+    wlog.debug("woo webhook body", { body: req.body });
 
-      const rows = res.data || [];
+    if (await deliverySeen(deliveryId)) {
+      wlog.info("woo webhook duplicate delivery ignored");
+      return res.send("DUPLICATE");
+    }
 
-      let headerDate;
-      try { headerDate = DateTime.now().setZone(TIMEZONE).toFormat("yyyy-LL-dd"); }
-      catch (_) { headerDate = new Date().toISOString().slice(0,10); }
+    try {
+      const order = req.body.order || req.body || {};
+      if (!order?.id) return res.send("NO ORDER");
+
+      const items = extractItemsFromIncoming(order);
+      const existing = await fetchOrder(String(order.id));
+      const incomingStatus = mapWooOrderStatus(order) || "pending_payment";
+      const status = existing
+        ? (canTransition(existing.status, incomingStatus) ? incomingStatus : existing.status)
+        : incomingStatus;
+
+      // ✅ SAFE BILLING FALLBACK CHAIN
+      const billing =
+        order.billing ||
+        order.billing_address ||
+        order.shipping ||
+        order.shipping_address ||
+        {};
+
+      const name =
+        billing.first_name && billing.last_name
+          ? `${billing.first_name} ${billing.last_name}`
+          : billing.first_name ||
+            billing.name ||
+            "";
+
+      const mapped = {
+        order_id: String(order.id),
+        wc_order_id: order.id,
+
+        // 👤 CUSTOMER (ONLY SET IF EXISTS)
+        name: name || null,
+        phone: billing.phone || billing.phone_number || null,
+        email: billing.email || null,
+
+        // 📦 ORDER
+        amount: Number(order.total || 0),
+        product: items.map(i => i.name).join(" | "),
+        sku: items.map(i => i.sku).join(" | "),
+        sizes: [...new Set(items.map(i => i.size).filter(Boolean))].join(", "),
+        technique: [...new Set(items.map(i => i.technique).filter(Boolean))].join(", "),
+        quantity: items.reduce((s, i) => s + (i.quantity || 1), 0),
+
+        // 📍 ADDRESS
+        address: [
+          billing.address_1,
+          billing.address_2,
+          billing.city
+        ].filter(Boolean).join(", ") || null,
+
+        state: billing.state || null,
+        pincode: billing.postcode || billing.postal_code || null,
+
+        // 💳 PAYMENT / SHIPPING / DISCOUNT / NOTE
+        ...wooPaymentFields(order),
+
+        // 🧠 STATUS
+        status,
+
+        items: JSON.stringify(items)
+      };
+      // only set when Woo says so; otherwise keep a mode chosen with /shipment_mode
+      const shipmentMode = inferShipmentMode(order);
+      if (shipmentMode) mapped.shipment_mode = shipmentMode;
+      // keep the original created_at on updates (reminders are timed from it)
+      if (!existing) mapped.created_at = nowISO();
+      if (status === "paid" && existing?.status !== "paid" && !existing?.paid_at) mapped.paid_at = nowISO();
+
+      // ✅ UPSERT (DO NOT OVERWRITE WITH NULLS)
+      // not queued in the outbox on failure: we answer 500 and Woo redelivers, and the
+      // redelivery re-reads the order and goes through canTransition again (a replayed
+      // snapshot of this status could move the order backwards)
+      await db.orders.upsert(mapped);
+
+      if (status !== existing?.status) {
+        await recordStatusChange(mapped.order_id, existing?.status, status, "woocommerce", order.status ? `woo:${order.status}` : null);
+      }
 
-      if (!rows.length) {
-        return safeSend(chatId, `${headerDate} orders 🌼\n\nNo paid orders for today yet.`);
+      // new orders hold their units; an order the gateway already paid takes them off
+      // on_hand (as /paid does); a Woo cancel/refund gives them back
+      const stored = { ...existing, ...mapped, stock_state: existing?.stock_state || null };
+      if (status === "cancelled" || status === "refunded") {
+        if (status !== existing?.status) await moveStock(stored, "released", items);
+      } else if (status === "paid") {
+        await moveStock(stored, "committed", items);
+      } else if ((!stored.stock_state || stored.stock_state === "released") && status === "pending_payment") {
+        await moveStock(stored, "reserved", items);
       }
 
-      let text = `${headerDate} orders 🌼\n\n`;
-      rows.forEach((r, idx) => {
-        let dateStr = r.created_at || "";
-        try { dateStr = DateTime.fromISO(r.created_at).setZone(TIMEZONE).toFormat("dd/LL/yyyy"); } catch (_) {}
-        text += `${idx + 1}. ${r.name || "-"} (${r.order_id}) 📦  # ${dateStr}\n`;
-      });
+      await recordDelivery(deliveryId, req, order.id);
+      wlog.info("woo webhook processed", { orderId: mapped.order_id, status, previousStatus: existing?.status || null });
+      res.send("OK");
+    } catch (e) {
+      metrics.webhooksFailed.inc({ reason: "error" });
+      wlog.error("woo webhook error", e);
+      // non-2xx so WooCommerce redelivers
+      res.status(500).send("ERR");
+    }
+  });
+  /* ---------------------------------------------------
+     /menu  → show commands
+  --------------------------------------------------- */
+  if (bot) {
+    bot.onText(/\/menu/i, async (msg) => {
+      const chatId = msg.chat.id;
+      const text =
+  `VisionsJersey Bot Commands:
+
+/order <order_id> - show order panel
+/find <phone|email|name> - search orders
+/customer <phone> - customer history (orders, total spent, last order)
+/reconcile - match a bank/UPI statement CSV (send as document) to pending orders
+/paid <order_id> [force] - mark paid, woo->processing, send supplier format & today's list (force: re-run for an already paid order)
+/paid <id> <id> … | <from>-<to> [force] - bulk mark paid: one progress message, one supplier digest, per-order report
+/unpaid <order_id> - undo a mistaken /paid (status, reminders, paid list, Woo, supplier CANCEL notice)
+/resend_qr <order_id> - flag for AutoJS
+/shipment_mode <order_id> [Normal|COD|Express|default] - shipment mode on the supplier text
+/track <order_id> <phone> <tracking_id> [courier] - one per line for bulk (progress message + per-order report)
+/cancel_track - abort a guided tracking entry
+/revive <order_id> - bring an expired order back to pending payment
+/export_today [from] [to] [status=paid] [xlsx] - orders by created_at as CSV/XLSX
+/today - list today's paid orders (paid_order_items)
+/clear_today - hide today's paid view so /today starts fresh
+/restore_today - undo /clear_today
+/paidorders [yyyy-mm-dd] - choose date (D-3..D+3)
+/stats [today|week|month|<from> <to>] [chart] - sales & conversion report
+/supplier_summary [yyyy-mm-dd] - production sheet by SKU/size/technique (+PDF)
+/labels [yyyy-mm-dd] - all shipping labels of a day on A4 (4 per page)
+/stock [sku] - stock per size of a SKU (no sku: everything running low)
+/stock_set <sku> <size|-> <qty> - set units on hand
 
+DELETE (use preview first):
+/delete_today_preview - preview which paid_order_items will be deleted (safe)
+/delete_today_confirm - delete today's paid_order_items (audited, undo button for a limited time)
+
+ADMIN:
+/failures - failed Supabase/Woo writes waiting for retry
+/users - list bot users and roles
+/grant <telegram_id> <admin|staff|supplier> [name]
+/revoke <telegram_id>
+/templates - message templates
+/template_preview <name> <order_id> - render a template with a real order
+`;
       await safeSend(chatId, text);
+    });
+  }
 
+  /* ---------------------------------------------------
+     paid_order_items rows + supplier dispatch text
+     One row per line item; `name` is the customer, `product` the item,
+     `amount` the order total (repeated on each line of the order).
+  --------------------------------------------------- */
+  // items JSON, or (older rows) the " | " / ", " joined product/sku/sizes/technique columns
+  function normalizedItems(order) {
+    try {
+      const items = orderItems(order);
+      if (!items.length && order.product && order.sku) {
+        const prods = (order.product + "").split("|").map(s => s.trim()).filter(Boolean);
+        const sks = (order.sku + "").split("|").map(s => s.trim()).filter(Boolean);
+        const sizes = (order.sizes || "").split(",").map(s => s.trim()).filter(Boolean);
+        const techs = (order.technique || "").split(",").map(s => s.trim()).filter(Boolean);
+        for (let i = 0; i < Math.max(prods.length, sks.length); i++) {
+          items.push({
+            name: prods[i] || "",
+            sku: sks[i] || "",
+            quantity: 1,
+            size: sizes[i] || sizes[0] || "",
+            technique: techs[i] || techs[0] || ""
+          });
+        }
+      }
+      return items;
     } catch (e) {
-      console.error("/today error:", e?.response?.data || e?.message || e);
-      await safeSend(chatId, "⚠️ Failed to fetch today's paid orders.");
+      log.error("items normalization error", e);
+      return [];
     }
-  });
-}
+  }
 
-/* /* ---------------------------------------------------
-   DELETE TODAY commands (FINAL SIMPLE VERSION)
-   /delete_today_preview  → shows what will be deleted
-   /delete_today_confirm  → permanently deletes only today's paid_order_items
---------------------------------------------------- */
+  function buildPaidRows(order, items, dayKey) {
+    const base = {
+      day: dayKey,
+      order_id: order.order_id,
+      name: order.name || "",
+      amount: order.amount || 0,
+      created_at: nowISO()
+    };
+    if (!items.length) {
+      return [{
+        ...base,
+        line_no: 1,
+        product: order.product || "",
+        sku: order.sku || "",
+        sizes: order.sizes || "",
+        technique: order.technique || "",
+        quantity: Number(order.quantity || 1),
+        line_total: null
+      }];
+    }
+    return items.map((it, idx) => ({
+      ...base,
+      line_no: idx + 1,
+      product: it.name || "",
+      sku: it.sku || "",
+      sizes: it.size || "",
+      technique: it.technique || "",
+      quantity: Number(it.quantity || 1),
+      line_total: it.line_total ?? null
+    }));
+  }
 
-if (bot) {
+  function buildSupplierText(order, rows) {
+    return renderMessage("supplier_dispatch", orderTemplateData(order, {
+      items: rows.map(r => ({ ...r, technique_text: (r.technique || "").replace(/-/g, " "), quantity: r.quantity || 1 })),
+      total_qty: rows.reduce((s, r) => s + (Number(r.quantity) || 1), 0)
+    }));
+  }
 
-  // Preview rows for today
-  bot.onText(/\/delete_today_preview/i, async (msg) => {
-    const chatId = msg.chat.id;
+  /* ---------------------------------------------------
+     Shipping labels + GST invoices (PDF)
+     Label: 4x6 in, sender / recipient / SKU list / Code 128 barcode of the
+     order id. /labels [date] puts a day's labels 4 per A4 page.
+     Invoice: line items from orders.items (line totals when Woo sent them,
+     otherwise the order amount split by quantity), prices GST-inclusive at
+     GST_RATE; CGST+SGST when the customer is in the store's state, IGST
+     otherwise. Seller details (gstin, state, hsn) come from store.json.
+  --------------------------------------------------- */
+  const LABEL_SIZE = [288, 432]; // 4 x 6 in
+  const money = (n) => `Rs. ${(Math.round(Number(n || 0) * 100) / 100).toFixed(2)}`;
+  const pdfText = (s) => String(s ?? "").replace(/₹/g, "Rs. ").replace(/[^\x20-\x7E\u00A0-\u00FF\n]/g, ""); // standard PDF fonts are Latin-1 only
+
+  function labelData(order, rows) {
+    return {
+      order,
+      store: STORE,
+      shipmentMode: shipmentModeFor(order),
+      lines: rows.map(r => `${r.sku || "-"}  ${String(r.sizes || "").toUpperCase() || "-"}  x${r.quantity || 1}`)
+    };
+  }
 
-    let todayKey;
-    try { todayKey = DateTime.now().setZone(TIMEZONE).toISODate(); }
-    catch (_) { todayKey = new Date().toISOString().slice(0, 10); }
+  // draws one label into the box; every block is clipped to its own height
+  function drawLabel(doc, { order, store, shipmentMode, lines }, x, y, w, h) {
+    const pad = 10;
+    const iw = w - pad * 2;
+    let cy = y + pad;
+    const block = (text, { font = "Helvetica", size = 9, height }) => {
+      doc.font(font).fontSize(size).text(pdfText(text), x + pad, cy, { width: iw, height, ellipsis: true });
+      cy += height;
+    };
 
-    try {
-      const r = await axios.get(
-        `${SUPABASE_URL}/rest/v1/paid_order_items?day=eq.${todayKey}&select=id,order_id,name,created_at`,
-        { headers: sbHeaders }
-      );
+    doc.save().lineWidth(1).rect(x + 2, y + 2, w - 4, h - 4).stroke().restore();
 
-      const rows = r.data || [];
-      if (!rows.length)
-        return safeSend(chatId, `📭 No paid orders for ${todayKey}.`);
+    block(`FROM: ${store.name || ""}${store.phone ? `  ${store.phone}` : ""}`, { font: "Helvetica-Bold", size: 8, height: 11 });
+    if (store.address) block(store.address, { size: 7, height: 18 });
+    doc.moveTo(x + pad, cy).lineTo(x + w - pad, cy).stroke();
+    cy += 6;
 
-      let text = `Preview delete for ${todayKey}:\n\n`;
-      rows.forEach((x, i) => {
-        text += `${i + 1}. ID:${x.id} | ${x.name} | Order:${x.order_id}\n`;
-      });
+    block("TO:", { font: "Helvetica-Bold", size: 8, height: 11 });
+    block(order.name || "-", { font: "Helvetica-Bold", size: 13, height: 18 });
+    block(order.address || "", { size: 10, height: 40 });
+    block(`${order.state || ""}${order.pincode ? ` - ${order.pincode}` : ""}`, { font: "Helvetica-Bold", size: 14, height: 20 });
+    block(`Phone: ${order.phone || "-"}`, { font: "Helvetica-Bold", size: 11, height: 16 });
+    doc.moveTo(x + pad, cy).lineTo(x + w - pad, cy).stroke();
+    cy += 6;
 
-      text += `\nRun /delete_today_confirm to permanently delete today's list.`;
+    block(`Order #${order.order_id}   ${shipmentMode.toUpperCase()}${/cod/i.test(shipmentMode) ? `  COLLECT ${money(order.amount)}` : ""}`, { font: "Helvetica-Bold", size: 10, height: 15 });
+    const barcodeH = Math.min(60, h * 0.14);
+    const listH = Math.max(20, y + h - pad - barcodeH - 14 - cy);
+    block(lines.join("\n") || "-", { size: 8, height: listH });
 
-      await safeSend(chatId, text);
-    } catch (err) {
-      console.error(err);
-      await safeSend(chatId, "⚠️ Could not load preview.");
-    }
-  });
+    drawCode128(doc, String(order.order_id), x + pad, y + h - pad - barcodeH - 12, iw, barcodeH);
+    doc.font("Helvetica").fontSize(8).text(String(order.order_id), x + pad, y + h - pad - 10, { width: iw, align: "center" });
+  }
 
-  // Delete today's list permanently
-  bot.onText(/\/delete_today_confirm/i, async (msg) => {
-    const chatId = msg.chat.id;
+  async function labelPdf(order, rows) {
+    const doc = new PDFDocument({ size: LABEL_SIZE, margin: 0 });
+    drawLabel(doc, labelData(order, rows), 0, 0, LABEL_SIZE[0], LABEL_SIZE[1]);
+    return pdfToBuffer(doc);
+  }
 
-    let todayKey;
-    try { todayKey = DateTime.now().setZone(TIMEZONE).toISODate(); }
-    catch (_) { todayKey = new Date().toISOString().slice(0, 10); }
+  // A4, 2 x 2 labels per page
+  async function labelSheetPdf(labels) {
+    const doc = new PDFDocument({ size: "A4", margin: 0, autoFirstPage: false });
+    const m = 20;
+    const cw = (595.28 - m * 2) / 2;
+    const ch = (841.89 - m * 2) / 2;
+    labels.forEach((label, i) => {
+      if (i % 4 === 0) doc.addPage();
+      const slot = i % 4;
+      drawLabel(doc, label, m + (slot % 2) * cw, m + Math.floor(slot / 2) * ch, cw, ch);
+    });
+    return pdfToBuffer(doc);
+  }
 
-    try {
-      // DELETE all rows for today
-      await axios.delete(
-  `${SUPABASE_URL}/rest/v1/paid_order_items?day=eq.${todayKey}`,
-  { 
-    headers: { 
-      ...sbHeaders,
-      Prefer: "return=minimal"
+  function invoiceLines(order, items) {
+    const amount = Number(order.amount || 0);
+    const lines = items.map(it => ({
+      description: [it.name, it.size && `Size ${String(it.size).toUpperCase()}`, it.technique].filter(Boolean).join(" / "),
+      sku: it.sku || "",
+      quantity: Number(it.quantity || 1),
+      total: Number(it.line_total || 0)
+    }));
+    if (!lines.length) lines.push({ description: order.product || "Goods", sku: order.sku || "", quantity: Number(order.quantity || 1), total: 0 });
+
+    const known = lines.reduce((s, l) => s + l.total, 0);
+    if (!known || lines.some(l => !l.total)) {
+      // no per-line prices: split the order amount by quantity
+      const qty = lines.reduce((s, l) => s + l.quantity, 0) || 1;
+      lines.forEach(l => { l.total = Math.round((amount * l.quantity / qty) * 100) / 100; });
+    } else if (amount - known > 0.009) {
+      lines.push({ description: "Shipping & other charges", sku: "", quantity: 1, total: Math.round((amount - known) * 100) / 100 });
     }
+    return lines;
   }
-);
 
-      await safeSend(chatId,
-        `🗑️ Today's paid list (${todayKey}) has been cleared permanently.\nRun /today to verify.`
-      );
+  function invoiceData(order, items) {
+    const store = STORE;
+    const rate = GST_RATE / 100;
+    const sameState = !!store.state && String(store.state).trim().toLowerCase() === String(order.state || "").trim().toLowerCase();
+    const lines = invoiceLines(order, items).map(l => {
+      const taxable = Math.round((l.total / (1 + rate)) * 100) / 100;
+      return { ...l, rate: l.total / (l.quantity || 1), taxable, tax: Math.round((l.total - taxable) * 100) / 100 };
+    });
+    const sum = (k) => Math.round(lines.reduce((s, l) => s + l[k], 0) * 100) / 100;
+    const issued = DateTime.fromISO(order.paid_at || nowISO()).setZone(TIMEZONE);
+    return {
+      store,
+      order,
+      number: `${store.invoice_prefix || "INV"}-${order.order_id}`,
+      date: issued.isValid ? issued.toFormat("dd/LL/yyyy") : currentDayKey(),
+      lines,
+      sameState,
+      taxable: sum("taxable"),
+      tax: sum("tax"),
+      total: sum("total")
+    };
+  }
 
-    } catch (err) {
-      console.error(err?.response?.data || err);
-      await safeSend(chatId, "⚠️ Delete failed.");
+  // draws one invoice from the top of the current page
+  function drawInvoice(doc, order, items) {
+    const inv = invoiceData(order, items);
+    const { store } = inv;
+    const left = 40;
+    const right = 555;
+
+    doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", { align: "center" }).moveDown(0.5);
+    doc.fontSize(12).text(pdfText(store.name || ""));
+    doc.font("Helvetica").fontSize(9);
+    if (store.address) doc.text(pdfText(store.address));
+    if (store.state) doc.text(`State: ${pdfText(store.state)}`);
+    if (store.phone) doc.text(`Phone: ${pdfText(store.phone)}`);
+    doc.text(`GSTIN: ${pdfText(store.gstin || "-")}`);
+
+    const top = 90;
+    doc.font("Helvetica-Bold").fontSize(9).text(`Invoice No: ${inv.number}`, 360, top, { width: 195, align: "right" });
+    doc.font("Helvetica").text(`Date: ${inv.date}`, 360, top + 12, { width: 195, align: "right" });
+    doc.text(`Order: #${inv.order.order_id}`, 360, top + 24, { width: 195, align: "right" });
+
+    doc.y = Math.max(doc.y, top + 70);
+    doc.font("Helvetica-Bold").fontSize(10).text("Bill / Ship to:", left);
+    doc.font("Helvetica").fontSize(9)
+      .text(pdfText(inv.order.name || "-"))
+      .text(pdfText(inv.order.address || ""))
+      .text(pdfText([inv.order.state, inv.order.pincode].filter(Boolean).join(" - ")))
+      .text(`Phone: ${pdfText(inv.order.phone || "-")}`)
+      .text(`Place of supply: ${pdfText(inv.order.state || "-")}`)
+      .moveDown();
+
+    const cols = [
+      { title: "#", x: left, w: 20 },
+      { title: "Description", x: left + 20, w: 190 },
+      { title: "HSN", x: left + 210, w: 45 },
+      { title: "Qty", x: left + 255, w: 30, align: "right" },
+      { title: "Rate", x: left + 290, w: 65, align: "right" },
+      { title: "Taxable", x: left + 360, w: 70, align: "right" },
+      { title: "Amount", x: left + 435, w: 80, align: "right" }
+    ];
+    const row = (values, bold) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      const heights = cols.map((c, i) => doc.heightOfString(pdfText(values[i]), { width: c.w }));
+      cols.forEach((c, i) => doc.text(pdfText(values[i]), c.x, y, { width: c.w, align: c.align || "left" }));
+      doc.y = y + Math.max(...heights) + 4;
+      doc.moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).lineWidth(0.5).stroke();
+    };
+    row(cols.map(c => c.title), true);
+    inv.lines.forEach((l, i) => row([
+      i + 1,
+      `${l.description}${l.sku ? `\nSKU: ${l.sku}` : ""}`,
+      store.hsn || "",
+      l.quantity,
+      money(l.rate),
+      money(l.taxable),
+      money(l.total)
+    ]));
+
+    doc.moveDown(0.5);
+    const totals = [["Taxable value", money(inv.taxable)]];
+    if (inv.sameState) {
+      totals.push([`CGST @ ${GST_RATE / 2}%`, money(inv.tax / 2)], [`SGST @ ${GST_RATE / 2}%`, money(inv.tax - Math.round((inv.tax / 2) * 100) / 100)]);
+    } else {
+      totals.push([`IGST @ ${GST_RATE}%`, money(inv.tax)]);
+    }
+    totals.push(["Total (incl. GST)", money(inv.total)]);
+    totals.forEach(([k, v], i) => {
+      const y = doc.y;
+      const bold = i === totals.length - 1;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 11 : 9);
+      doc.text(k, 330, y, { width: 130, align: "right" });
+      doc.text(v, 465, y, { width: 90, align: "right" });
+      doc.moveDown(0.2);
+    });
+
+    doc.moveDown(2).font("Helvetica").fontSize(8)
+      .text("Prices are inclusive of GST. This is a computer-generated invoice and needs no signature.", left, doc.y, { width: right - left, align: "center" });
+  }
+
+  // one invoice per page; [{ order, items }]
+  async function invoicesPdf(invoices) {
+    const doc = new PDFDocument({ size: "A4", margin: 40, autoFirstPage: false });
+    invoices.forEach(({ order, items }) => {
+      doc.addPage();
+      drawInvoice(doc, order, items);
+    });
+    return pdfToBuffer(doc);
+  }
+
+  async function invoicePdf(order, items) {
+    return invoicesPdf([{ order, items }]);
+  }
+
+  // label + invoice for paid orders ([{ order, items, paidRows }]), as configured
+  // by PAID_DOCUMENTS; several orders (bulk /paid) share a label sheet and an invoices file
+  async function sendPaidDocuments(chatIds, paid) {
+    if (!paid.length) return;
+    const docs = [];
+    const ids = paid.map(p => p.order.order_id);
+    try {
+      if (paid.length === 1) {
+        const [{ order, items, paidRows }] = paid;
+        if (PAID_DOCUMENTS.includes("label")) docs.push([await labelPdf(order, paidRows), `label_${order.order_id}.pdf`]);
+        if (PAID_DOCUMENTS.includes("invoice")) docs.push([await invoicePdf(order, items), `invoice_${order.order_id}.pdf`]);
+      } else {
+        const range = `${ids[0]}-${ids[ids.length - 1]}`;
+        if (PAID_DOCUMENTS.includes("label")) docs.push([await labelSheetPdf(paid.map(p => labelData(p.order, p.paidRows))), `labels_${range}.pdf`]);
+        if (PAID_DOCUMENTS.includes("invoice")) docs.push([await invoicesPdf(paid), `invoices_${range}.pdf`]);
+      }
+    } catch (e) {
+      log.error("paid documents render failed", { orderIds: ids, err: e });
+      return;
+    }
+    for (const chatId of chatIds) {
+      for (const [buffer, filename] of docs) await safeSendDocument(chatId, buffer, filename, "application/pdf");
+    }
+  }
+
+  if (bot) {
+    bot.onText(/\/labels(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const dayKey = match[1] ? parseDayKey(match[1]) : currentDayKey();
+      if (!dayKey) return safeSend(chatId, "Usage: /labels [yyyy-mm-dd]");
+      try {
+        const paid = await fetchPaidList(dayKey);
+        const ids = [...new Set(paid.map(r => String(r.order_id)))];
+        if (!ids.length) return safeSend(chatId, `📭 No paid orders for ${dayKey}.`);
+        const byId = new Map((await db.orders.byIds(ids)).map(o => [String(o.order_id), o]));
+        const labels = ids
+          .filter(id => byId.has(id))
+          .map(id => {
+            const order = byId.get(id);
+            return labelData(order, buildPaidRows(order, normalizedItems(order), dayKey));
+          });
+        const pdf = await labelSheetPdf(labels);
+        await safeSendDocument(chatId, pdf, `labels_${dayKey}.pdf`, "application/pdf", `🏷️ ${labels.length} label(s) for ${dayKey}`);
+      } catch (e) {
+        log.error("/labels error", e);
+        await safeSend(chatId, "⚠️ Failed to build labels.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     Stock per SKU + size (stock table, migrations/005_stock.sql)
+     An order moves its units once per step, tracked in orders.stock_state:
+     webhook arrival reserves, /paid takes them off on_hand, a cancel gives
+     them back (/unpaid puts them back to reserved). The state is claimed
+     with a guarded PATCH before the deltas are applied, so duplicate
+     webhooks or double taps never move stock twice. Stock problems are
+     logged and never block the order flow.
+  --------------------------------------------------- */
+  // per unit, keyed "<from>><to>"; a released order counts as untouched (it can be revived)
+  const STOCK_MOVES = {
+    "none>reserved": { reserved: 1 },
+    "none>committed": { on_hand: -1 },
+    "reserved>committed": { on_hand: -1, reserved: -1 },
+    "reserved>released": { reserved: -1 },
+    "committed>released": { on_hand: 1 },
+    "committed>reserved": { on_hand: 1, reserved: 1 }
+  };
+
+  function stockSize(size) {
+    return String(size || "").trim().toUpperCase();
+  }
+
+  const stockAvailable = (row) => row.on_hand - row.reserved;
+
+  // items -> one delta line per SKU + size (quantities summed); items without a SKU are not tracked
+  function stockLines(items, move) {
+    const lines = new Map();
+    for (const it of items) {
+      const sku = String(it.sku || "").trim();
+      if (!sku) continue;
+      const size = stockSize(it.size);
+      const key = `${sku}|${size}`;
+      const line = lines.get(key) || { sku, size, qty: 0, woo_product_id: it.product_id || null, woo_variation_id: it.variation_id || null };
+      line.qty += Number(it.quantity) || 1;
+      lines.set(key, line);
+    }
+    return [...lines.values()].map(({ qty, ...line }) => ({
+      ...line,
+      on_hand: (move.on_hand || 0) * qty,
+      reserved: (move.reserved || 0) * qty
+    }));
+  }
+
+  /**
+   * Move an order's units to `to` (reserved | committed | released).
+   * @returns {Promise<Object[]|null>} the tracked stock rows after the change, null when nothing moved
+   */
+  async function moveStock(order, to, items = normalizedItems(order)) {
+    const from = order.stock_state && order.stock_state !== "released" ? order.stock_state : "none";
+    const move = STOCK_MOVES[`${from}>${to}`];
+    if (!move) return null;
+    const lines = stockLines(items, move);
+    if (!lines.length) return null;
+
+    const orderId = order.order_id;
+    try {
+      const claimed = await db.orders.patch(orderId, { stock_state: to }, {
+        stock_state: order.stock_state ? op.eq(order.stock_state) : op.is("null")
+      });
+      if (!claimed.length) {
+        log.info("stock already moved", { orderId, to });
+        return null;
+      }
+    } catch (e) {
+      log.error("stock state update failed", { orderId, to, err: e });
+      return null;
+    }
+
+    let rows;
+    try {
+      rows = await db.stock.adjust(lines);
+    } catch (e) {
+      enqueueJob({ kind: "supabase", method: "POST", path: "rpc/stock_adjust", body: { lines } }, `stock ${from} → ${to} (order ${orderId})`, e);
+      return null;
+    }
+    log.info("stock moved", { orderId, from, to, lines: lines.length, tracked: rows.length });
+    await afterStockChange(rows, lines, orderId);
+    return rows;
+  }
+
+  // low-stock / oversold alert for rows that just crossed the line, and the optional Woo push
+  async function afterStockChange(rows, lines, orderId) {
+    const warnings = [];
+    for (const row of rows) {
+      const line = lines.find(l => l.sku === row.sku && l.size === row.size) || {};
+      const available = stockAvailable(row);
+      const before = available - ((line.on_hand || 0) - (line.reserved || 0));
+      if (available < 0 && before >= 0) {
+        warnings.push(`❗ Oversold: ${row.sku} ${row.size || "-"} — ${available} available (${row.on_hand} on hand, ${row.reserved} reserved)`);
+      } else if (available < STOCK_LOW_THRESHOLD && before >= STOCK_LOW_THRESHOLD) {
+        warnings.push(`⚠️ Low stock: ${row.sku} ${row.size || "-"} — ${available} available (${row.on_hand} on hand, ${row.reserved} reserved)`);
+      }
+      if (STOCK_WOO_SYNC) await pushWooStock(row);
+    }
+    if (warnings.length && ADMIN_CHAT_ID) {
+      await safeSend(ADMIN_CHAT_ID, `${warnings.join("\n")}${orderId ? `\n(after order ${orderId})` : ""}\n\nUpdate with /stock_set <sku> <size> <qty>`);
+    }
+  }
+
+  // Woo variation stock = our available count (never negative)
+  async function pushWooStock(row) {
+    if (!row.woo_product_id || !row.woo_variation_id || !WC_USER || !WC_PASS) return false;
+    const qty = Math.max(0, stockAvailable(row));
+    return runOrQueue({
+      kind: "woo",
+      method: "PUT",
+      path: `products/${encodeURIComponent(row.woo_product_id)}/variations/${encodeURIComponent(row.woo_variation_id)}`,
+      body: { manage_stock: true, stock_quantity: qty }
+    }, `WooCommerce stock ${row.sku} ${row.size || "-"} → ${qty}`);
+  }
+
+  function formatStockRow(row) {
+    const available = stockAvailable(row);
+    const flag = available < 0 ? " ❗" : available < STOCK_LOW_THRESHOLD ? " ⚠️" : "";
+    return `${row.size || "-"}: ${available} available (${row.on_hand} on hand, ${row.reserved} reserved)${flag}`;
+  }
+
+  if (bot) {
+    // /stock <sku> → sizes of one SKU; /stock alone → everything under the threshold
+    bot.onText(/\/stock\b(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const sku = (match[1] || "").trim();
+      try {
+        if (!sku) {
+          const rows = await db.stock.low(STOCK_LOW_THRESHOLD);
+          if (!rows.length) return safeSend(chatId, `✅ No size is under ${STOCK_LOW_THRESHOLD} available.\nUse: /stock <sku>`);
+          return sendLong(chatId, `⚠️ Low stock (under ${STOCK_LOW_THRESHOLD} available):\n\n${rows.map(r => `${r.sku} ${formatStockRow(r)}`).join("\n")}`);
+        }
+        const rows = await db.stock.forSku(sku);
+        if (!rows.length) return safeSend(chatId, `No stock tracked for ${sku}.\nAdd it with /stock_set ${sku} <size> <qty>`);
+        await safeSend(chatId, `📦 Stock ${sku}\n\n${rows.map(formatStockRow).join("\n")}`);
+      } catch (e) {
+        log.error("/stock error", e);
+        await safeSend(chatId, "❌ Could not load stock.");
+      }
+    });
+
+    // /stock_set <sku> <size|-> <qty> → physical count on hand (reservations are kept)
+    bot.onText(/\/stock_set(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const [sku, sizeArg, qtyArg] = (match[1] || "").trim().split(/\s+/);
+      const qty = Number(qtyArg);
+      if (!sku || !sizeArg || qtyArg == null || !Number.isInteger(qty) || qty < 0) {
+        return safeSend(chatId, "❌ Use: /stock_set <sku> <size> <qty>\n(size - for one-size items, qty = units on hand)");
+      }
+      const size = sizeArg === "-" ? "" : stockSize(sizeArg);
+      try {
+        const row = await db.stock.set(sku, size, qty, actorName(msg.from));
+        if (!row) throw new Error("stock upsert returned no row");
+        if (STOCK_WOO_SYNC) await pushWooStock(row);
+        await safeSend(chatId, `✅ ${sku} ${formatStockRow(row)}`);
+      } catch (e) {
+        log.error("/stock_set error", e);
+        await safeSend(chatId, "❌ Could not save stock.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     Core: mark paid logic
+     markOrderPaid() does the writes and builds the supplier text; it
+     returns { ok: false, reason, text } when the order is refused: not
+     found, or already paid/completed without `force` (force re-sends the
+     supplier dispatch and adds the paid list rows again). The paid PATCH
+     repeats that check, so two runs racing on one order process it once.
+     handleMarkPaid() sends the messages for one order and returns true
+     when it was processed; bulk /paid sends one digest for many.
+  --------------------------------------------------- */
+  // fields /paid overwrites; saved to orders.paid_undo so /unpaid can put them back
+  const PAID_UNDO_FIELDS = [
+    "status", "paid_at", "paid_message_pending", "reminder_24_sent", "reminder_48_sent",
+    "reminder_72_sent", "next_message", "hidden_from_today"
+  ];
+
+  async function markOrderPaid(orderId, { force = false, note } = {}) {
+    log.info("mark paid", { orderId, force });
+    // 1) Fetch order
+    let order;
+    try {
+      order = await fetchOrder(orderId);
+    } catch (err) {
+      log.error("fetch order error", err);
+      return { ok: false, reason: "lookup failed", text: `❌ Failed fetching ${orderId}.` };
+    }
+
+    if (!order) {
+      return { ok: false, reason: "not found", text: `❌ Order ${orderId} not found in Supabase.` };
+    }
+
+    // a shipped order is never re-run: paid would move it (and Woo) back from completed
+    if (order.status === "completed") {
+      return {
+        ok: false,
+        reason: "already completed",
+        text: `⚠️ Order ${orderId} is already completed (shipped).\nNothing was changed.`
+      };
+    }
+
+    const alreadyPaid = PAID_STATUSES.includes(order.status);
+    if (alreadyPaid && !force) {
+      const when = order.paid_at ? DateTime.fromISO(order.paid_at).setZone(TIMEZONE).toFormat("dd/MM/yyyy HH:mm") : "earlier";
+      return {
+        ok: false,
+        reason: `already ${order.status}`,
+        text: `⚠️ Order ${orderId} is already ${order.status} (paid ${when}).\nNothing was changed. Use /paid ${orderId} force to process it again, or /unpaid ${orderId} to undo.`
+      };
+    }
+
+    // keep the state from before the first /paid, so a forced re-run can still be undone
+    const undoSnapshot = alreadyPaid && order.paid_undo
+      ? order.paid_undo
+      : JSON.stringify(Object.fromEntries(PAID_UNDO_FIELDS.map(f => [f, order[f] ?? null])));
+
+    // 2) Claim the order in Supabase -> paid. Unless forced, the PATCH only matches an
+    //    order that is not paid yet: a second confirm tap or a concurrent /paid updates
+    //    0 rows and stops here, before Woo, stock, the paid list or the supplier.
+    const paidJob = {
+      kind: "db",
+      call: "orders.patch",
+      args: [orderId, {
+        status: "paid",
+        paid_at: nowISO(),
+        paid_message_pending: true,
+        reminder_24_sent: true,
+        reminder_48_sent: true,
+        reminder_72_sent: true,
+        next_message: null,
+        hidden_from_today: false,
+        paid_undo: undoSnapshot
+      }, force ? {} : { status: op.notIn(PAID_STATUSES) }]
+    };
+    let paidOk = true;
+    try {
+      const claimed = await executeJob(paidJob);
+      if (!force && !claimed.length) {
+        return {
+          ok: false,
+          reason: "already paid",
+          text: `⚠️ Order ${orderId} was marked paid meanwhile.\nNothing was changed. Use /paid ${orderId} force to process it again.`
+        };
+      }
+    } catch (e) {
+      // Supabase down: queue the (still guarded) PATCH and carry on, as before
+      log.error("supabase write failed", { label: `Supabase mark paid ${orderId}`, err: e });
+      enqueueJob(paidJob, `Supabase mark paid ${orderId}`, e);
+      paidOk = false;
+    }
+
+    // 3) Update WooCommerce -> processing (queued for retry on failure)
+    const wooOk = await updateWooStatus(order, "processing");
+    if (order.status !== "paid") await recordStatusChange(orderId, order.status, "paid", "telegram", note);
+
+    const items = normalizedItems(order);
+    await moveStock(order, "committed", items);
+
+    // 4) Insert into paid_order_items (day = today), one row per line item. A forced
+    //    re-run first retires the earlier rows so the lists and the production sheet
+    //    count the order once; if that fails the earlier rows stay and nothing is added.
+    const dayKey = currentDayKey();
+    const paidRows = buildPaidRows(order, items, dayKey);
+    let replaced = true;
+    if (alreadyPaid) {
+      try {
+        await db.paidItems.softDeleteForOrder(orderId, "paid force");
+      } catch (e) {
+        log.error("paid_order_items soft delete failed", { orderId, err: e });
+        replaced = false;
+      }
+    }
+    const itemsOk = !replaced || await runOrQueue(
+      { kind: "db", call: "paidItems.insert", args: [paidRows] },
+      `paid_order_items insert ${orderId}`
+    );
+
+    // 5) Supplier format from the per-item rows
+    let supplierText = null;
+    try {
+      supplierText = buildSupplierText(order, paidRows);
+    } catch (e) {
+      log.error("failed to build supplier text", e);
+    }
+
+    const queued = [!wooOk && WC_USER && WC_PASS && "WooCommerce", !paidOk && "Supabase order", !itemsOk && "paid list"].filter(Boolean);
+    metrics.ordersMarkedPaid.inc();
+    return { ok: true, order: { ...order, paid_at: order.paid_at || nowISO() }, items, paidRows, dayKey, supplierText, wooOk, paidOk, queued };
+  }
+
+  async function handleMarkPaid(chatId, orderId, opts = {}) {
+    const result = await markOrderPaid(orderId, opts);
+    if (!result.ok) {
+      await safeSend(chatId, result.text);
+      return false;
+    }
+    const { order, items, paidRows, dayKey, supplierText } = result;
+
+    // supplier format, then label + invoice PDFs
+    if (supplierText) {
+      if (SUPPLIER_CHAT_ID) await safeSend(SUPPLIER_CHAT_ID, supplierText);
+      await safeSend(chatId, supplierText);
+    }
+    await sendPaidDocuments([SUPPLIER_CHAT_ID, chatId].filter(Boolean), [result]);
+
+    // today's paid list (short format A)
+    try {
+      const saved = await fetchTodayList(dayKey);
+      await safeSend(chatId, formatPaidList(dayKey, saved));
+    } catch (e) {
+      log.error("failed to build today's list", e);
+      await safeSend(chatId, "Today's paid list couldn't be loaded from DB.");
+    }
+
+    // final confirmation
+    const confirmation = renderMessage("paid_confirmation", orderTemplateData(order, {
+      woo_result: result.wooOk ? "done" : "attempted",
+      supabase_result: result.paidOk ? "updated" : "update queued",
+      queued: result.queued.join(", ")
+    }));
+    await safeSend(chatId, confirmation, {
+      reply_markup: { inline_keyboard: [[{ text: "↩️ Undo paid", callback_data: `paid_undo:${orderId}` }]] }
+    });
+    return true;
+  }
+
+  /* ---------------------------------------------------
+     Core: undo mark paid (/unpaid, "Undo paid" button)
+     Puts back the fields saved in orders.paid_undo, soft-deletes the order's
+     paid_order_items rows, reverts Woo and tells the supplier to drop the
+     dispatch. Shipped (completed) orders are refused.
+  --------------------------------------------------- */
+  // `cancelled`: the order itself was cancelled (not just un-paid)
+  function buildSupplierCancelText(order, { cancelled = false } = {}) {
+    const skus = String(order.sku || "").split("|").map(x => x.trim()).filter(Boolean);
+    return renderMessage("supplier_cancel", orderTemplateData(order, { skus, cancelled }));
+  }
+
+  async function handleUnpaid(chatId, orderId, actor) {
+    log.info("undo paid", { orderId, actor });
+    let order;
+    try {
+      order = await fetchOrder(orderId);
+    } catch (err) {
+      log.error("fetch order error", err);
+      await safeSend(chatId, `❌ Failed fetching ${orderId}.`);
+      return false;
+    }
+    if (!order) {
+      await safeSend(chatId, `❌ Order ${orderId} not found in Supabase.`);
+      return false;
+    }
+    if (order.status === "completed") {
+      await safeSend(chatId, `⚠️ Order ${orderId} is already shipped (completed); it can't be un-paid or cancelled. Refund it in WooCommerce if the customer returns it.`);
+      return false;
+    }
+    if (order.status !== "paid") {
+      await safeSend(chatId, `⚠️ Order ${orderId} is not marked paid (status: ${order.status || "-"}). Nothing to undo.`);
+      return false;
+    }
+
+    // orders paid before paid_undo existed: back to pending, reminders stay off
+    let previous;
+    try {
+      previous = order.paid_undo ? JSON.parse(order.paid_undo) : null;
+    } catch (_) {
+      previous = null;
+    }
+    if (!previous || !previous.status || PAID_STATUSES.includes(previous.status)) {
+      previous = {
+        status: "pending_payment",
+        paid_at: null,
+        paid_message_pending: false,
+        reminder_24_sent: true,
+        reminder_48_sent: true,
+        reminder_72_sent: true,
+        next_message: null,
+        hidden_from_today: false
+      };
+    }
+
+    const restore = Object.fromEntries(PAID_UNDO_FIELDS.map(f => [f, previous[f] ?? null]));
+    const ordersOk = await runOrQueue({
+      kind: "db",
+      call: "orders.patch",
+      args: [orderId, { ...restore, paid_message_pending: false, paid_undo: null }, { status: op.eq("paid") }]
+    }, `Supabase unpaid ${orderId}`);
+    await recordStatusChange(orderId, "paid", restore.status, "telegram", `undo /paid${actor ? ` by ${actor}` : ""}`);
+
+    const itemsOk = await runOrQueue(
+      { kind: "db", call: "paidItems.softDeleteForOrder", args: [orderId, actor || "unpaid"] },
+      `paid_order_items remove ${orderId}`
+    );
+
+    if (order.stock_state === "committed") await moveStock(order, "reserved");
+
+    const wooStatus = LOCAL_TO_WOO_STATUS[restore.status] || "pending";
+    const wooOk = await updateWooStatus(order, wooStatus);
+
+    const cancelText = buildSupplierCancelText(order);
+    if (SUPPLIER_CHAT_ID) await safeSend(SUPPLIER_CHAT_ID, cancelText);
+    await safeSend(chatId, cancelText);
+
+    const queued = [!wooOk && WC_USER && WC_PASS && "WooCommerce", !ordersOk && "Supabase order", !itemsOk && "paid list"].filter(Boolean);
+    await safeSend(chatId, `↩️ Order ${orderId} is no longer paid.\nStatus → ${restore.status}\nWooCommerce → ${wooStatus} (${wooOk ? "done" : "attempted"})\nRemoved from the paid list; supplier told to cancel the dispatch.${order.paid_message_pending ? "" : "\n⚠️ The customer thank-you may already have been sent."}${queued.length ? `\n\n📮 Queued for retry: ${queued.join(", ")} (see /failures)` : ""}`);
+    return true;
+  }
+
+  /* ---------------------------------------------------
+     Bulk commands (/paid with several orders, multi-line /track)
+     One progress message is edited in place as orders are done (at most
+     every BULK_PROGRESS_MS, Telegram rate-limits edits) and finally
+     replaced by the per-order report.
+  --------------------------------------------------- */
+  const BULK_MAX_ORDERS = 100;
+  const BULK_PROGRESS_MS = 2000;
+
+  function bulkProgress(chatId, title, total) {
+    let message = null;
+    let lastEdit = 0;
+    return {
+      async start() {
+        message = await safeSend(chatId, `⏳ ${title}… 0/${total}`);
+        lastEdit = clock.now();
+      },
+      async update(done) {
+        if (!message || done >= total || clock.now() - lastEdit < BULK_PROGRESS_MS) return;
+        lastEdit = clock.now();
+        await safeEdit(chatId, message.message_id, `⏳ ${title}… ${done}/${total}`);
+      },
+      // the report replaces the progress message; a long one continues below it
+      async finish(report) {
+        const [head, ...rest] = report.split("\n");
+        if (!message) return sendLong(chatId, report);
+        if (report.length <= 4000) return safeEdit(chatId, message.message_id, report);
+        await safeEdit(chatId, message.message_id, head);
+        await sendLong(chatId, rest.join("\n").trim());
+      }
+    };
+  }
+
+  // "1201 1202,1205 1210-1212" -> order ids in order (duplicates dropped)
+  function parseOrderIds(tokens) {
+    const ids = [];
+    for (const token of tokens) {
+      const range = /^(\d+)-(\d+)$/.exec(token);
+      if (!range) {
+        ids.push(token);
+        continue;
+      }
+      const from = Number(range[1]);
+      const to = Number(range[2]);
+      if (to < from) return { error: `Range ${token} runs backwards.` };
+      if (to - from >= BULK_MAX_ORDERS) return { error: `Range ${token} is too long (max ${BULK_MAX_ORDERS} orders).` };
+      for (let id = from; id <= to; id++) ids.push(String(id));
+    }
+    const unique = [...new Set(ids)];
+    if (unique.length > BULK_MAX_ORDERS) return { error: `Too many orders (max ${BULK_MAX_ORDERS} per command).` };
+    return { ids: unique };
+  }
+
+  /* ---------------------------------------------------
+     Bulk /paid: markOrderPaid for each order in sequence. The supplier gets
+     one combined digest (plus one label sheet / invoices file) instead of a
+     dispatch per order; the report lists each order's result.
+  --------------------------------------------------- */
+  async function handleBulkPaid(chatId, orderIds, { force = false, actor } = {}) {
+    log.info("bulk mark paid", { count: orderIds.length, force, actor });
+    const progress = bulkProgress(chatId, "Marking paid", orderIds.length);
+    await progress.start();
+
+    const results = [];
+    for (const [idx, orderId] of orderIds.entries()) {
+      let result;
+      try {
+        result = await markOrderPaid(orderId, { force, note: `bulk /paid${actor ? ` by ${actor}` : ""}` });
+      } catch (e) {
+        log.error("bulk paid error", { orderId, err: e });
+        result = { ok: false, reason: "failed, check logs" };
+      }
+      results.push({ orderId, ...result });
+      await progress.update(idx + 1);
+    }
+
+    const paid = results.filter(r => r.ok);
+    if (paid.length && SUPPLIER_CHAT_ID) {
+      const dispatches = paid.map(r => r.supplierText).filter(Boolean);
+      if (dispatches.length) {
+        await sendLong(SUPPLIER_CHAT_ID, `📦 ${dispatches.length} NEW PAID ORDER(S)\n\n${dispatches.join("\n\n——————————\n\n")}`);
+      }
+    }
+    await sendPaidDocuments([SUPPLIER_CHAT_ID, chatId].filter(Boolean), paid);
+
+    const lines = results.map((r) => {
+      if (!r.ok) return `❌ ${r.orderId}: ${r.reason}`;
+      const queued = r.queued.length ? ` • queued: ${r.queued.join(", ")}` : "";
+      return `✅ ${r.orderId} ${r.order.name || "-"} ₹${r.order.amount || 0}${queued}`;
+    });
+    const notes = [
+      paid.some(r => r.queued.length) && "📮 Queued writes are retried automatically (see /failures).",
+      results.some(r => !r.ok && r.reason === "already paid") && "Add force to process already paid orders again.",
+      paid.length && "Run /today for the day's list."
+    ].filter(Boolean);
+    const report = `💰 Bulk /paid: ${paid.length}/${results.length} marked paid\n\n${lines.join("\n")}`;
+    await progress.finish(notes.length ? `${report}\n\n${notes.join("\n")}` : report);
+    return results;
+  }
+
+  /* ---------------------------------------------------
+     /paid command (Telegram)
+     /paid <order_id> [force], or several: /paid 1201 1202 1205, /paid 1201-1210
+  --------------------------------------------------- */
+  if (bot) {
+    bot.onText(/\/paid\s+([\s\S]+)/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const tokens = (match[1] || "").trim().split(/[\s,]+/).filter(Boolean);
+      const isForce = (t) => /^(--)?force$/i.test(t);
+      const { ids, error } = parseOrderIds(tokens.filter(t => !isForce(t)));
+      if (error) return safeSend(chatId, `❌ ${error}`);
+      if (!ids.length) return safeSend(chatId, "❌ Use: /paid <order_id> [force] or /paid <id> <id> … / <from>-<to>");
+      const force = tokens.some(isForce);
+      try {
+        if (ids.length === 1) await handleMarkPaid(chatId, ids[0], { force });
+        else await handleBulkPaid(chatId, ids, { force, actor: actorName(msg.from) });
+      } catch (err) {
+        log.error("/paid error", err);
+        await safeSend(chatId, "⚠️ Error processing /paid. Check logs.");
+      }
+    });
+
+    bot.onText(/\/unpaid(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const orderId = match[1]?.trim();
+      if (!orderId) return safeSend(chatId, "❌ Use: /unpaid <order_id>");
+      try {
+        await handleUnpaid(chatId, orderId, actorName(msg.from));
+      } catch (err) {
+        log.error("/unpaid error", err);
+        await safeSend(chatId, "⚠️ Error processing /unpaid. Check logs.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     Other helper commands (order panel, resend_qr, track, today, paidorders)
+  --------------------------------------------------- */
+
+  // /order (panel)
+  function buildOrderPanel(o) {
+    const text = renderMessage("order_panel", orderTemplateData(o));
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: "✅ Mark Paid", callback_data: `order_paid:${o.order_id}` }, { text: "🔁 Resend QR", callback_data: `order_resend:${o.order_id}` }],
+        [{ text: "📦 Track", callback_data: `order_track:${o.order_id}` }, { text: "❌ Cancel", callback_data: `order_cancel:${o.order_id}` }]
+      ]
+    };
+    if (o.status === "expired") keyboard.inline_keyboard.push([{ text: "♻️ Revive", callback_data: `order_revive:${o.order_id}` }]);
+    return { text, keyboard };
+  }
+
+  if (bot) {
+    bot.onText(/\/order\s+(.+)/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const orderId = match[1]?.trim();
+      if (!orderId) return safeSend(chatId, "Usage: /order <order_id>");
+      try {
+        const o = await fetchOrder(orderId);
+        if (!o) return safeSend(chatId, `❌ Order ${orderId} not found.`);
+        const { text, keyboard } = buildOrderPanel(o);
+        await bot.sendMessage(chatId, text, { reply_markup: keyboard });
+      } catch (e) {
+        log.error("/order error", e);
+        await safeSend(chatId, "⚠️ Failed to load order.");
+      }
+    });
+  }
+
+  // /resend_qr
+  if (bot) {
+    bot.onText(/\/resend_qr\s+(.+)/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const id = match[1]?.trim();
+      if (!id) return safeSend(chatId, "Usage: /resend_qr <order_id>");
+      try {
+        await patch(id, { resend_qr_pending: true });
+        await safeSend(chatId, `🔁 QR resend triggered for order ${id}.`);
+      } catch (e) {
+        log.error("/resend_qr error", e);
+        await safeSend(chatId, "⚠️ Failed to set resend flag.");
+      }
+    });
+  }
+
+  // /track
+  // courier key -> display name + tracking URL ({id} is replaced with the tracking number);
+  // unknown couriers fall back to a 17track search link
+  const COURIERS = {
+    indiapost: { name: "India Post", url: "https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx" },
+    delhivery: { name: "Delhivery", url: "https://www.delhivery.com/track/package/{id}" },
+    bluedart: { name: "Blue Dart", url: "https://www.bluedart.com/tracking?trackFor=0&trackNo={id}" },
+    shiprocket: { name: "Shiprocket", url: "https://shiprocket.co/tracking/{id}" }
+  };
+
+  function resolveCourier(courierArg, tracking) {
+    let key = String(courierArg || "").toLowerCase().replace(/[^a-z]/g, "");
+    if (!key && /^[A-Z]{2}\d{9}IN$/i.test(tracking)) key = "indiapost"; // UPU format used by India Post
+    if (!key) key = DEFAULT_COURIER;
+    const c = COURIERS[key];
+    if (!c) return { name: courierArg || key, url: `https://t.17track.net/en#nums=${encodeURIComponent(tracking)}` };
+    return { name: c.name, url: c.url.replace("{id}", encodeURIComponent(tracking)) };
+  }
+
+  // compare the last 10 digits so +91 / 0 prefixes and spacing don't matter
+  function phoneDigits(phone) {
+    return String(phone || "").replace(/\D/g, "").slice(-10);
+  }
+
+  async function addWooOrderNote(order, note, customerNote = true) {
+    const wooId = order?.wc_order_id || order?.order_id;
+    if (!WC_USER || !WC_PASS || !wooId) return false;
+    return runOrQueue(
+      { kind: "woo", method: "POST", path: `orders/${encodeURIComponent(wooId)}/notes`, body: { note, customer_note: customerNote } },
+      `WooCommerce ${wooId} note`
+    );
+  }
+
+  // validates and stores one tracking entry; returns { ok, text } for the caller to report
+  async function applyTracking(orderId, phone, tracking, courierArg) {
+    const order = await fetchOrder(orderId);
+    if (!order) return { ok: false, text: `❌ ${orderId}: order not found.` };
+    // only paid orders ship; /track must not complete an unpaid, cancelled or expired one
+    if (!PAID_STATUSES.includes(order.status)) {
+      return { ok: false, text: `❌ ${orderId}: not paid (status ${order.status || "unknown"}).` };
+    }
+
+    if (order.phone && phoneDigits(order.phone) !== phoneDigits(phone)) {
+      return { ok: false, text: `❌ ${orderId}: phone ${phone} does not match the order (…${phoneDigits(order.phone).slice(-4)}).` };
+    }
+
+    const courier = resolveCourier(courierArg, tracking);
+    await patch(orderId, {
+      tracking_number: tracking,
+      courier: courier.name,
+      tracking_url: courier.url,
+      tracking_sent: true,
+      tracking_message_pending: true,
+      status: "completed"
+    });
+    if (order.status !== "completed") {
+      await recordStatusChange(orderId, order.status, "completed", "telegram", `tracking:${tracking}`);
+    }
+
+    const noteOk = await addWooOrderNote(
+      order,
+      `Your order has been shipped via ${courier.name}.\nTracking number: ${tracking}\nTrack it here: ${courier.url}`
+    );
+    const wooOk = await updateWooStatus(order, "completed");
+
+    return {
+      ok: true,
+      text: `📦 ${orderId}: ${courier.name} ${tracking}${noteOk && wooOk ? "" : " (⚠️ Woo not fully updated)"}`,
+      order,
+      courier
+    };
+  }
+
+  async function handleTrack(chatId, orderId, phone, tracking, courierArg) {
+    try {
+      const r = await applyTracking(orderId, phone, tracking, courierArg);
+      if (!r.ok) return safeSend(chatId, r.text);
+      await safeSend(chatId, `📦 Tracking set:\nOrder: ${orderId}\nPhone: ${phone}\nCourier: ${r.courier.name}\nTracking ID: ${tracking}\n${r.courier.url}\n\n${r.text}`);
+      return true;
+    } catch (e) {
+      log.error("/track error", e);
+      await safeSend(chatId, "⚠️ Failed to update tracking.");
+      return false;
+    }
+  }
+
+  // one entry per line: <order_id> <phone> <tracking_id> [courier]
+  function parseTrackLines(raw) {
+    return String(raw || "")
+      .split(/\r?\n/)
+      .map(l => l.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [orderId, phone, tracking, courier] = line.split(/\s+/);
+        return { line, orderId, phone, tracking, courier };
+      });
+  }
+
+  if (bot) {
+    bot.onText(/\/track\b([\s\S]*)/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const entries = parseTrackLines(match[1]);
+      const usage = "Usage: /track <order_id> <phone> <tracking_id> [courier]\n(one order per line for bulk entry)";
+      if (!entries.length) return safeSend(chatId, usage);
+
+      if (entries.length === 1) {
+        const e = entries[0];
+        if (!e.tracking) return safeSend(chatId, usage);
+        return handleTrack(chatId, e.orderId, e.phone, e.tracking, e.courier);
+      }
+
+      if (entries.length > BULK_MAX_ORDERS) return safeSend(chatId, `❌ Too many lines (max ${BULK_MAX_ORDERS} per command).`);
+      const progress = bulkProgress(chatId, "Updating tracking", entries.length);
+      await progress.start();
+
+      const results = [];
+      for (const [idx, e] of entries.entries()) {
+        if (!e.tracking) {
+          results.push(`❌ "${e.line}": expected <order_id> <phone> <tracking_id> [courier]`);
+        } else {
+          try {
+            results.push((await applyTracking(e.orderId, e.phone, e.tracking, e.courier)).text);
+          } catch (err) {
+            log.error("/track bulk error", { orderId: e.orderId, err });
+            results.push(`⚠️ ${e.orderId}: failed to update.`);
+          }
+        }
+        await progress.update(idx + 1);
+      }
+      const okCount = results.filter(r => r.startsWith("📦")).length;
+      await progress.finish(`📦 Tracking: ${okCount}/${entries.length} updated\n\n${results.join("\n")}`);
+    });
+  }
+
+  /* ---------------------------------------------------
+     /order panel buttons (callback_query dispatcher)
+     callback_data is "<action>:<arg>" (usually the order id); destructive actions
+     (mark paid, cancel) ask for a confirm tap first, and the panel
+     message is edited in place to reflect the new status.
+  --------------------------------------------------- */
+
+  // "<chatId>:<userId>" -> { orderId, expiresAt } while waiting for a guided tracking reply;
+  // per user, so in a group chat another member's next message is not taken as the reply
+  const pendingTracking = new Map();
+  const TRACKING_PROMPT_TTL_MS = 10 * 60 * 1000;
+  const trackingKey = (chatId, from) => `${chatId}:${from?.id}`;
+
+  function confirmKeyboard(action, orderId, label) {
+    return {
+      inline_keyboard: [
+        [{ text: label, callback_data: `${action}_confirm:${orderId}` }, { text: "↩️ Back", callback_data: `order_panel:${orderId}` }]
+      ]
+    };
+  }
+
+  async function refreshPanel(chatId, messageId, orderId, note) {
+    const o = await fetchOrder(orderId);
+    if (!o) return safeEdit(chatId, messageId, `❌ Order ${orderId} not found.`);
+    const { text, keyboard } = buildOrderPanel(o);
+    return safeEdit(chatId, messageId, note ? `${text}\n\n${note}` : text, { reply_markup: keyboard });
+  }
+
+  // shipped (completed) orders are refused: their units have left. A paid order also
+  // leaves the paid list and the supplier is told to drop the dispatch, as on /unpaid.
+  async function cancelOrder(orderId, actor) {
+    const order = await fetchOrder(orderId);
+    if (!order) throw new Error(`order ${orderId} not found`);
+    if (order.status === "completed") {
+      return { ok: false, text: `⚠️ Order ${orderId} is already shipped (completed); it can't be cancelled.` };
+    }
+    await patch(orderId, { status: "cancelled", next_message: null });
+    if (order.status !== "cancelled") await recordStatusChange(orderId, order.status, "cancelled", "telegram", actor ? `cancelled by ${actor}` : null);
+    await moveStock(order, "released");
+
+    let itemsOk = true;
+    if (order.status === "paid") {
+      itemsOk = await runOrQueue(
+        { kind: "db", call: "paidItems.softDeleteForOrder", args: [orderId, actor || "cancel"] },
+        `paid_order_items remove ${orderId}`
+      );
+      if (SUPPLIER_CHAT_ID) await safeSend(SUPPLIER_CHAT_ID, buildSupplierCancelText(order, { cancelled: true }));
+    }
+    const wooOk = await updateWooStatus(order, "cancelled");
+    return { ok: true, wasPaid: order.status === "paid", wooOk, itemsOk };
+  }
+
+  async function confirmPaid({ chatId, messageId, orderId }, { force }) {
+    await safeEdit(chatId, messageId, `⏳ Marking order ${orderId} paid...`);
+    const done = await handleMarkPaid(chatId, orderId, { force });
+    await refreshPanel(chatId, messageId, orderId, done ? "✅ Marked paid." : "⚠️ Not marked paid (see above).");
+  }
+
+  // callback action -> command whose roles apply (see COMMAND_ROLES)
+  const CALLBACK_COMMANDS = {
+    order_panel: "order",
+    order_paid: "paid",
+    order_paid_confirm: "paid",
+    order_paid_again_confirm: "paid",
+    paid_undo: "unpaid",
+    order_resend: "resend_qr",
+    order_track: "track",
+    order_cancel: "cancel",
+    order_cancel_confirm: "cancel",
+    order_revive: "revive",
+    paid_day: "paidorders",
+    paid_pick: "paidorders",
+    order_open: "order",
+    find_page: "find",
+    find_phone: "find",
+    recon_pick: "paid",
+    recon_all: "paid",
+    delete_undo: "delete_today_confirm",
+    outbox_list: "failures",
+    outbox_retry: "failures",
+    outbox_discard: "failures"
+  };
+
+  const callbackHandlers = {
+    // re-render the panel (also used by "Back" on confirm prompts)
+    order_panel: async ({ chatId, messageId, orderId }) => {
+      await refreshPanel(chatId, messageId, orderId);
+    },
+
+    order_paid: async ({ chatId, messageId, orderId }) => {
+      const o = await fetchOrder(orderId);
+      if (!o) return safeEdit(chatId, messageId, `❌ Order ${orderId} not found.`);
+      if (o.status === "completed") return refreshPanel(chatId, messageId, orderId, "⚠️ Already completed (shipped); it cannot be marked paid again.");
+      const { text } = buildOrderPanel(o);
+      // only the prompt that warned about an earlier payment may force a re-run
+      const again = PAID_STATUSES.includes(o.status);
+      const warn = again ? `⚠️ This order is already ${o.status}; confirming processes it again.\n` : "";
+      await safeEdit(chatId, messageId, `${text}\n\n${warn}Mark order ${orderId} as paid?`, {
+        reply_markup: confirmKeyboard(again ? "order_paid_again" : "order_paid", orderId, "✅ Confirm paid")
+      });
+    },
+
+    order_paid_confirm: async (ctx) => confirmPaid(ctx, { force: false }),
+    order_paid_again_confirm: async (ctx) => confirmPaid(ctx, { force: true }),
+
+    paid_undo: async ({ chatId, messageId, orderId, query }) => {
+      const done = await handleUnpaid(chatId, orderId, actorName(query.from));
+      if (done) await safeEdit(chatId, messageId, `↩️ Paid for order ${orderId} was undone.`);
+    },
+
+    order_resend: async ({ chatId, messageId, orderId }) => {
+      await patch(orderId, { resend_qr_pending: true });
+      await refreshPanel(chatId, messageId, orderId, "🔁 QR resend triggered.");
+    },
+
+    order_track: async ({ chatId, orderId, query }) => {
+      pendingTracking.set(trackingKey(chatId, query.from), { orderId, expiresAt: clock.now() + TRACKING_PROMPT_TTL_MS });
+      await safeSend(chatId, `📦 Tracking for order ${orderId}\nReply with: <phone> <tracking_id> [courier]\n(send /cancel_track to abort)`, {
+        reply_markup: { force_reply: true }
+      });
+    },
+
+    order_cancel: async ({ chatId, messageId, orderId }) => {
+      const o = await fetchOrder(orderId);
+      if (!o) return safeEdit(chatId, messageId, `❌ Order ${orderId} not found.`);
+      if (o.status === "completed") return refreshPanel(chatId, messageId, orderId, "⚠️ Already shipped (completed); it can't be cancelled.");
+      const { text } = buildOrderPanel(o);
+      await safeEdit(chatId, messageId, `${text}\n\n⚠️ Cancel order ${orderId}? This stops reminders for the customer.`, {
+        reply_markup: confirmKeyboard("order_cancel", orderId, "❌ Confirm cancel")
+      });
+    },
+
+    order_cancel_confirm: async ({ chatId, messageId, orderId, query }) => {
+      const r = await cancelOrder(orderId, actorName(query.from));
+      if (!r.ok) return refreshPanel(chatId, messageId, orderId, r.text);
+      const notes = [
+        r.wasPaid && "Removed from the paid list; supplier told to cancel the dispatch.",
+        !r.itemsOk && "📮 Paid list removal queued for retry (see /failures).",
+        !r.wooOk && "⚠️ WooCommerce was not updated."
+      ].filter(Boolean);
+      await refreshPanel(chatId, messageId, orderId, ["❌ Order cancelled.", ...notes].join("\n"));
+    }
+  };
+
+  if (bot) {
+    bot.on("callback_query", async (q) => {
+      const data = q.data || "";
+      const sep = data.indexOf(":");
+      const action = sep === -1 ? data : data.slice(0, sep);
+      const arg = sep === -1 ? "" : data.slice(sep + 1);
+      const handler = callbackHandlers[action];
+
+      if (!handler || !q.message) {
+        log.warn("unknown callback_query", { data });
+        try { await bot.answerCallbackQuery(q.id); } catch (_) {}
+        return;
+      }
+
+      if (!(await authorize(q.from, q.message.chat.id, CALLBACK_COMMANDS[action]))) {
+        try { await bot.answerCallbackQuery(q.id, { text: "⛔ Not allowed", show_alert: true }); } catch (_) {}
+        return;
+      }
+
+      // always answer so the client stops spinning
+      try { await bot.answerCallbackQuery(q.id); } catch (_) {}
+
+      const ctx = { chatId: q.message.chat.id, messageId: q.message.message_id, arg, orderId: arg, query: q };
+      try {
+        await handler(ctx);
+      } catch (e) {
+        log.error("callback error", { action, err: e });
+        await safeSend(ctx.chatId, `⚠️ Failed to process ${action} (${arg}).`);
+      }
+    });
+
+    bot.onText(/\/cancel_track/i, async (msg) => {
+      pendingTracking.delete(trackingKey(msg.chat.id, msg.from));
+      await safeSend(msg.chat.id, "Tracking entry cancelled.");
+    });
+
+    // guided tracking entry: the next plain message from whoever tapped "📦 Track" in that chat
+    bot.on("message", async (msg) => {
+      const chatId = msg.chat.id;
+      const key = trackingKey(chatId, msg.from);
+      const pending = pendingTracking.get(key);
+      if (!pending || !msg.text || msg.text.startsWith("/")) return;
+      if (pending.expiresAt < clock.now()) {
+        pendingTracking.delete(key);
+        return;
+      }
+      if (!(await authorize(msg.from, chatId, "track"))) return;
+
+      const parts = msg.text.trim().split(/\s+/);
+      if (parts.length < 2) {
+        return safeSend(chatId, `Reply with: <phone> <tracking_id> [courier] for order ${pending.orderId}`);
+      }
+      pendingTracking.delete(key);
+      await handleTrack(chatId, pending.orderId, parts[0], parts[1], parts[2]);
+    });
+  }
+
+  // paid list helpers (short format shared by /today and /paidorders)
+  async function fetchPaidList(dayKey) {
+    return db.paidItems.forDay(dayKey, { columns: "order_id,name,created_at" });
+  }
+
+  // today's list minus orders hidden with /clear_today (orders.hidden_from_today)
+  async function fetchTodayList(dayKey) {
+    const rows = await fetchPaidList(dayKey);
+    const ids = [...new Set(rows.map(r => r.order_id))];
+    if (!ids.length) return rows;
+    const hidden = new Set(
+      (await db.orders.byIds(ids, "order_id,hidden_from_today"))
+        .filter(o => o.hidden_from_today)
+        .map(o => String(o.order_id))
+    );
+    return rows.filter(r => !hidden.has(String(r.order_id)));
+  }
+
+  // paid_order_items has one row per line item; the list shows one entry per order
+  function formatPaidList(dayKey, rows, emptyText = "No paid orders for today yet.") {
+    const seen = new Set();
+    const orders = rows.filter((r) => !seen.has(r.order_id) && seen.add(r.order_id));
+    return renderMessage("daily_list", {
+      day: dayKey,
+      empty_text: emptyText,
+      orders: orders.map((r) => ({ ...r, date: shortDate(r.created_at) }))
+    });
+  }
+
+  // /today - ALWAYS read from paid_order_items only
+  if (bot) {
+    bot.onText(/\/today/i, async (msg) => {
+      const chatId = msg.chat.id;
+
+      const todayKey = currentDayKey();
+
+      try {
+        const rows = await fetchTodayList(todayKey);
+        await safeSend(chatId, formatPaidList(todayKey, rows));
+      } catch (e) {
+        log.error("/today error", e);
+        await safeSend(chatId, "⚠️ Failed to fetch today's paid orders.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     /paidorders [yyyy-mm-dd] - date picker (D-3..D+3) + day pager
+     paid_day:<date> renders a day's list with ◀/▶ buttons,
+     paid_pick:<date> re-opens the picker centred on that date.
+  --------------------------------------------------- */
+  function paidPickerKeyboard(centerKey) {
+    const center = DateTime.fromISO(centerKey, { zone: TIMEZONE });
+    const todayKey = currentDayKey();
+    const buttons = [];
+    for (let d = -3; d <= 3; d++) {
+      const day = center.plus({ days: d });
+      const key = day.toISODate();
+      buttons.push({ text: key === todayKey ? "Today" : day.toFormat("ccc dd"), callback_data: `paid_day:${key}` });
+    }
+    return {
+      inline_keyboard: [
+        buttons.slice(0, 4),
+        buttons.slice(4),
+        [
+          { text: "⏪ Week", callback_data: `paid_pick:${center.minus({ days: 7 }).toISODate()}` },
+          { text: "Week ⏩", callback_data: `paid_pick:${center.plus({ days: 7 }).toISODate()}` }
+        ]
+      ]
+    };
+  }
+
+  function paidDayKeyboard(dayKey) {
+    const day = DateTime.fromISO(dayKey, { zone: TIMEZONE });
+    return {
+      inline_keyboard: [[
+        { text: "◀️ Prev", callback_data: `paid_day:${day.minus({ days: 1 }).toISODate()}` },
+        { text: "📅 Dates", callback_data: `paid_pick:${dayKey}` },
+        { text: "Next ▶️", callback_data: `paid_day:${day.plus({ days: 1 }).toISODate()}` }
+      ]]
+    };
+  }
+
+  function parseDayKey(arg) {
+    const d = DateTime.fromISO(String(arg || "").trim(), { zone: TIMEZONE });
+    return d.isValid ? d.toISODate() : null;
+  }
+
+  async function renderPaidDay(dayKey) {
+    const rows = await fetchPaidList(dayKey);
+    return {
+      text: formatPaidList(dayKey, rows, "No paid orders on this day."),
+      opts: { reply_markup: paidDayKeyboard(dayKey) }
+    };
+  }
+
+  callbackHandlers.paid_day = async ({ chatId, messageId, arg }) => {
+    const dayKey = parseDayKey(arg);
+    if (!dayKey) return;
+    const { text, opts } = await renderPaidDay(dayKey);
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  callbackHandlers.paid_pick = async ({ chatId, messageId, arg }) => {
+    const dayKey = parseDayKey(arg) || currentDayKey();
+    await safeEdit(chatId, messageId, "📅 Choose a date:", { reply_markup: paidPickerKeyboard(dayKey) });
+  };
+
+  if (bot) {
+    bot.onText(/\/paidorders(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const todayKey = currentDayKey();
+
+      if (!match[1]) {
+        return safeSend(chatId, "📅 Choose a date:", { reply_markup: paidPickerKeyboard(todayKey) });
+      }
+
+      const dayKey = parseDayKey(match[1]);
+      if (!dayKey) return safeSend(chatId, "Usage: /paidorders [yyyy-mm-dd]");
+      try {
+        const { text, opts } = await renderPaidDay(dayKey);
+        await safeSend(chatId, text, opts);
+      } catch (e) {
+        log.error("/paidorders error", e);
+        await safeSend(chatId, "⚠️ Failed to fetch paid orders.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     /export_today [from] [to] [status=a,b] [xlsx]
+     Orders by created_at (TIMEZONE days, default today), one row per
+     line item from the items JSON, sent back as CSV (+ XLSX on request).
+  --------------------------------------------------- */
+  const EXPORT_COLUMNS = [
+    { header: "order_id", key: "order_id", width: 12 },
+    { header: "name", key: "name", width: 24 },
+    { header: "phone", key: "phone", width: 16 },
+    { header: "sku", key: "sku", width: 18 },
+    { header: "size", key: "size", width: 8 },
+    { header: "technique", key: "technique", width: 16 },
+    { header: "quantity", key: "quantity", width: 10 },
+    { header: "amount", key: "amount", width: 10 },
+    { header: "status", key: "status", width: 16 },
+    { header: "created_at", key: "created_at", width: 18 }
+  ];
+
+  function parseExportArgs(raw) {
+    const todayKey = currentDayKey();
+    const opts = { from: null, to: null, statuses: [], xlsx: false };
+    String(raw || "").trim().split(/\s+/).filter(Boolean).forEach((tok) => {
+      const lower = tok.toLowerCase();
+      if (lower === "xlsx") opts.xlsx = true;
+      else if (lower.startsWith("status=")) opts.statuses = lower.slice(7).split(",").filter(Boolean);
+      else if (parseDayKey(tok)) {
+        if (!opts.from) opts.from = parseDayKey(tok);
+        else opts.to = parseDayKey(tok);
+      } else throw new Error(`Unknown argument: ${tok}`);
+    });
+    opts.from = opts.from || todayKey;
+    opts.to = opts.to || opts.from;
+    if (opts.to < opts.from) [opts.from, opts.to] = [opts.to, opts.from];
+    return opts;
+  }
+
+  async function fetchOrdersCreatedBetween(fromKey, toKey, statuses = []) {
+    const start = DateTime.fromISO(fromKey, { zone: TIMEZONE }).startOf("day").toUTC().toISO();
+    const end = DateTime.fromISO(toKey, { zone: TIMEZONE }).plus({ days: 1 }).startOf("day").toUTC().toISO();
+    return db.orders.createdBetween(start, end, { statuses });
+  }
+
+  function orderItems(order) {
+    if (order.items) {
+      try {
+        const parsed = typeof order.items === "string" ? JSON.parse(order.items) : order.items;
+        if (Array.isArray(parsed) && parsed.length) return parsed;
+      } catch (_) {}
+    }
+    return extractItemsFromIncoming(order);
+  }
+
+  function exportRows(orders) {
+    const rows = [];
+    orders.forEach((o) => {
+      let created = o.created_at || "";
+      try { created = DateTime.fromISO(o.created_at).setZone(TIMEZONE).toFormat("yyyy-LL-dd HH:mm"); } catch (_) {}
+      const base = { order_id: o.order_id, name: o.name || "", phone: o.phone || "", amount: Number(o.amount || 0), status: o.status || "", created_at: created };
+      const items = orderItems(o);
+      if (!items.length) {
+        rows.push({ ...base, sku: o.sku || "", size: o.sizes || "", technique: o.technique || "", quantity: Number(o.quantity || 1) });
+        return;
+      }
+      items.forEach((it) => {
+        rows.push({ ...base, sku: it.sku || "", size: it.size || "", technique: it.technique || "", quantity: Number(it.quantity || 1) });
+      });
+    });
+    return rows;
+  }
+
+  function csvCell(v) {
+    const str = v == null ? "" : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function toCsv(rows) {
+    const lines = [EXPORT_COLUMNS.map(c => c.header).join(",")];
+    rows.forEach((r) => lines.push(EXPORT_COLUMNS.map(c => csvCell(r[c.key])).join(",")));
+    // BOM so Excel opens UTF-8 names correctly
+    return Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+  }
+
+  async function toXlsx(rows, sheetName) {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet(sheetName);
+    ws.columns = EXPORT_COLUMNS;
+    ws.getRow(1).font = { bold: true };
+    rows.forEach((r) => ws.addRow(r));
+    return Buffer.from(await wb.xlsx.writeBuffer());
+  }
+
+  if (bot) {
+    bot.onText(/\/export_today(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      let opts;
+      try {
+        opts = parseExportArgs(match[1]);
+      } catch (e) {
+        return safeSend(chatId, `${e.message}\nUsage: /export_today [from] [to] [status=paid,pending_payment] [xlsx]`);
+      }
+
+      try {
+        const orders = await fetchOrdersCreatedBetween(opts.from, opts.to, opts.statuses);
+        const range = opts.from === opts.to ? opts.from : `${opts.from}_${opts.to}`;
+        if (!orders.length) return safeSend(chatId, `📭 No orders for ${range.replace("_", " → ")}.`);
+
+        const rows = exportRows(orders);
+        const caption = `📊 ${orders.length} orders / ${rows.length} items (${range.replace("_", " → ")})`;
+        await safeSendDocument(chatId, toCsv(rows), `orders_${range}.csv`, "text/csv", caption);
+        if (opts.xlsx) {
+          await safeSendDocument(chatId, await toXlsx(rows, range), `orders_${range}.xlsx`, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        }
+      } catch (e) {
+        log.error("/export_today error", e);
+        await safeSend(chatId, "⚠️ Export failed.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     Supplier production sheet: /supplier_summary [yyyy-mm-dd]
+     Aggregates a day's paid_order_items into totals per SKU, then per
+     size + technique, followed by the per-order address blocks. Sent as
+     text plus a printable PDF; also sent to SUPPLIER_CHAT_ID daily at
+     SUPPLIER_SUMMARY_TIME when configured.
+  --------------------------------------------------- */
+  async function buildProductionSheet(dayKey) {
+    const rows = await db.paidItems.forDay(dayKey);
+
+    const skus = new Map();
+    rows.forEach((row) => {
+      const sku = row.sku || "-";
+      const qty = Number(row.quantity) || 1;
+      if (!skus.has(sku)) skus.set(sku, { sku, product: row.product || "", total: 0, variants: new Map() });
+      const entry = skus.get(sku);
+      entry.total += qty;
+      const variant = `${(row.sizes || "-").toUpperCase()} • ${(row.technique || "").replace(/-/g, " ") || "-"}`;
+      entry.variants.set(variant, (entry.variants.get(variant) || 0) + qty);
+    });
+
+    const orderIds = [...new Set(rows.map(x => x.order_id))];
+    let orders = [];
+    if (orderIds.length) {
+      const found = await db.orders.byIds(orderIds, "order_id,name,phone,address,state,pincode");
+      const byId = new Map(found.map(x => [String(x.order_id), x]));
+      orders = orderIds.map((id) => ({
+        ...(byId.get(String(id)) || { order_id: id, name: rows.find(x => x.order_id === id)?.name }),
+        lines: rows.filter(x => x.order_id === id)
+      }));
     }
-  });
 
+    return {
+      dayKey,
+      totalQty: [...skus.values()].reduce((s, x) => s + x.total, 0),
+      skus: [...skus.values()].sort((a, b) => b.total - a.total),
+      orders
+    };
+  }
+
+  function lineLabel(l) {
+    return `${l.sku || "-"} ${(l.sizes || "-").toUpperCase()}${l.technique ? ` ${l.technique.replace(/-/g, " ")}` : ""} x${l.quantity || 1}`;
+  }
+
+  function formatProductionSheet(sheet) {
+    let text = `🧵 Production sheet — ${sheet.dayKey}\n${sheet.totalQty} pcs • ${sheet.orders.length} orders\n`;
+    if (!sheet.orders.length) return text + "\nNo paid orders on this day.";
+
+    sheet.skus.forEach((x) => {
+      text += `\n${x.sku}${x.product ? ` — ${x.product}` : ""}: ${x.total}\n`;
+      [...x.variants.entries()].forEach(([variant, qty]) => { text += `   ${variant}: ${qty}\n`; });
+    });
+
+    text += "\n📮 Addresses\n";
+    sheet.orders.forEach((o, idx) => {
+      text += `\n${idx + 1}. ${o.name || "-"} (${o.order_id})\n`;
+      if (o.address) text += `   ${o.address}\n`;
+      if (o.state || o.pincode) text += `   ${[o.state, o.pincode].filter(Boolean).join(" - ")}\n`;
+      if (o.phone) text += `   📞 ${o.phone}\n`;
+      text += `   ${o.lines.map(lineLabel).join(", ")}\n`;
+    });
+    return text;
+  }
+
+  // PDF uses the built-in Helvetica, so no emoji / ₹ here
+  async function productionSheetPdf(sheet) {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.fontSize(16).font("Helvetica-Bold").text(`Production sheet - ${sheet.dayKey}`);
+    doc.fontSize(10).font("Helvetica").text(`${sheet.totalQty} pcs / ${sheet.orders.length} orders`).moveDown();
+
+    doc.fontSize(12).font("Helvetica-Bold").text("Totals by SKU").moveDown(0.3);
+    sheet.skus.forEach((x) => {
+      doc.fontSize(11).font("Helvetica-Bold").text(pdfText(`${x.sku}${x.product ? ` - ${x.product}` : ""}   [ ${x.total} ]`));
+      doc.font("Helvetica").fontSize(10);
+      [...x.variants.entries()].forEach(([variant, qty]) => {
+        doc.text(pdfText(`      ${variant.replace(" • ", " / ")}: ${qty}      [  ]`));
+      });
+      doc.moveDown(0.4);
+    });
+
+    doc.addPage();
+    doc.fontSize(12).font("Helvetica-Bold").text("Orders").moveDown(0.5);
+    sheet.orders.forEach((o, idx) => {
+      doc.fontSize(11).font("Helvetica-Bold").text(pdfText(`${idx + 1}. ${o.name || "-"}  (#${o.order_id})`), { continued: false });
+      doc.font("Helvetica").fontSize(10);
+      if (o.address) doc.text(pdfText(o.address));
+      if (o.state || o.pincode) doc.text(pdfText([o.state, o.pincode].filter(Boolean).join(" - ")));
+      if (o.phone) doc.text(`Phone: ${pdfText(o.phone)}`);
+      doc.text(pdfText(o.lines.map(lineLabel).join(", ")));
+      doc.moveDown(0.6);
+    });
+
+    return pdfToBuffer(doc);
+  }
+
+  async function sendProductionSheet(chatId, dayKey) {
+    const sheet = await buildProductionSheet(dayKey);
+    await sendLong(chatId, formatProductionSheet(sheet));
+    if (sheet.orders.length) {
+      await safeSendDocument(chatId, await productionSheetPdf(sheet), `production_${dayKey}.pdf`, "application/pdf");
+    }
+    return sheet;
+  }
+
+  if (bot) {
+    bot.onText(/\/supplier_summary(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const dayKey = match[1] ? parseDayKey(match[1]) : currentDayKey();
+      if (!dayKey) return safeSend(chatId, "Usage: /supplier_summary [yyyy-mm-dd]");
+      try {
+        await sendProductionSheet(chatId, dayKey);
+      } catch (e) {
+        log.error("/supplier_summary error", e);
+        await safeSend(chatId, "⚠️ Failed to build the production sheet.");
+      }
+    });
+  }
+
+  // scheduled end-of-day send (checked once a minute)
+  let lastSupplierSummaryDay = null;
+  if (SUPPLIER_SUMMARY_TIME && SUPPLIER_CHAT_ID) {
+    every(60 * 1000, async () => {
+      const now = DateTime.fromMillis(clock.now()).setZone(TIMEZONE);
+      const dayKey = now.toISODate();
+      if (now.toFormat("HH:mm") !== SUPPLIER_SUMMARY_TIME || lastSupplierSummaryDay === dayKey) return;
+      lastSupplierSummaryDay = dayKey;
+      try {
+        await sendProductionSheet(SUPPLIER_CHAT_ID, dayKey);
+        log.info("supplier summary sent", { day: dayKey });
+      } catch (e) {
+        log.error("scheduled supplier summary failed", e);
+      }
+    });
+    log.info("supplier summary scheduled", { time: SUPPLIER_SUMMARY_TIME, timezone: TIMEZONE });
+  }
+
+  /* ---------------------------------------------------
+     Customer lookup
+     /find <phone|email|name fragment> - paginated matches, each opening the /order panel
+     /customer <phone>                 - lifetime orders, total spent, last order
+     Phones are compared on their last 10 digits (see phoneDigits), so
+     "+91 98765 43210", "098765-43210" and "9876543210" all match.
+  --------------------------------------------------- */
+  const FIND_PAGE_SIZE = 5;
+  const findSessions = new Map(); // sid -> { query, orders }
+
+  async function searchOrders(query) {
+    const q = String(query || "").trim();
+    const digits = q.replace(/\D/g, "");
+    const isPhone = !q.includes("@") && digits.length >= 4 && digits.length >= q.replace(/[\s+\-()]/g, "").length;
+    let filters;
+    if (q.includes("@")) filters = { email: op.ilike(`*${q}*`) };
+    // prefilter on the last 4 digits, then compare normalized numbers locally
+    else if (isPhone) filters = { phone: op.ilike(`*${digits.slice(-4)}*`) };
+    else filters = { name: op.ilike(`*${q}*`) };
+
+    let rows = await db.orders.list({
+      filters,
+      columns: "order_id,name,phone,email,amount,status,created_at",
+      order: "created_at.desc",
+      limit: 200
+    });
+    if (isPhone) {
+      const wanted = phoneDigits(digits);
+      rows = rows.filter((o) => phoneDigits(o.phone).includes(wanted));
+    }
+    return rows;
+  }
+
+  // every order on this number for /customer: all pages and no cap, so lifetime totals are never cut off
+  async function customerOrders(phone) {
+    const wanted = phoneDigits(phone);
+    const rows = await db.selectAll("orders", {
+      phone: op.ilike(`*${wanted.slice(-4)}*`),
+      select: "order_id,name,phone,email,amount,status,created_at",
+      order: "created_at.desc,order_id.desc"
+    });
+    return rows.filter((o) => phoneDigits(o.phone) === wanted);
+  }
+
+  function shortDate(iso) {
+    try { return DateTime.fromISO(iso).setZone(TIMEZONE).toFormat("dd/LL/yyyy"); } catch (_) { return iso || ""; }
+  }
+
+  function newFindSession(query, orders) {
+    const sid = crypto.randomBytes(3).toString("hex");
+    findSessions.set(sid, { query, orders });
+    // keep only the most recent searches
+    if (findSessions.size > 50) findSessions.delete(findSessions.keys().next().value);
+    return sid;
+  }
+
+  function findPage(sid, page) {
+    const session = findSessions.get(sid);
+    if (!session) return { text: "⌛ Search expired — run /find again.", opts: {} };
+    const { query, orders } = session;
+    const pages = Math.max(1, Math.ceil(orders.length / FIND_PAGE_SIZE));
+    const p = Math.min(Math.max(page, 0), pages - 1);
+    const slice = orders.slice(p * FIND_PAGE_SIZE, (p + 1) * FIND_PAGE_SIZE);
+
+    let text = `🔎 "${query}" — ${orders.length} order(s)${pages > 1 ? ` • page ${p + 1}/${pages}` : ""}\n\n`;
+    const rows = slice.map((o, idx) => {
+      text += `${p * FIND_PAGE_SIZE + idx + 1}. ${o.name || "-"} (#${o.order_id}) • ${o.status || "-"} • ₹${o.amount || 0} • ${shortDate(o.created_at)}\n`;
+      return [{ text: `📦 #${o.order_id} ${o.name || ""}`.trim().slice(0, 40), callback_data: `order_open:${o.order_id}` }];
+    });
+    const nav = [];
+    if (p > 0) nav.push({ text: "◀️ Prev", callback_data: `find_page:${sid}:${p - 1}` });
+    if (p < pages - 1) nav.push({ text: "Next ▶️", callback_data: `find_page:${sid}:${p + 1}` });
+    if (nav.length) rows.push(nav);
+    return { text, opts: { reply_markup: { inline_keyboard: rows } } };
+  }
+
+  callbackHandlers.find_page = async ({ chatId, messageId, arg }) => {
+    const [sid, page] = arg.split(":");
+    const { text, opts } = findPage(sid, Number(page) || 0);
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  // open the /order panel as a new message (keeps the result list in place)
+  callbackHandlers.order_open = async ({ chatId, orderId }) => {
+    const o = await fetchOrder(orderId);
+    if (!o) return safeSend(chatId, `❌ Order ${orderId} not found.`);
+    const { text, keyboard } = buildOrderPanel(o);
+    await safeSend(chatId, text, { reply_markup: keyboard });
+  };
+
+  if (bot) {
+    bot.onText(/\/find(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const query = (match[1] || "").trim();
+      if (query.length < 2) return safeSend(chatId, "Usage: /find <phone|email|name>");
+      try {
+        const orders = await searchOrders(query);
+        if (!orders.length) return safeSend(chatId, `🔎 No orders match "${query}".`);
+        const { text, opts } = findPage(newFindSession(query, orders), 0);
+        await safeSend(chatId, text, opts);
+      } catch (e) {
+        log.error("/find error", e);
+        await safeSend(chatId, "⚠️ Search failed.");
+      }
+    });
+
+    bot.onText(/\/customer(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const phone = (match[1] || "").trim();
+      if (phoneDigits(phone).length < 10) return safeSend(chatId, "Usage: /customer <phone>");
+      try {
+        const wanted = phoneDigits(phone);
+        const orders = await customerOrders(wanted);
+        if (!orders.length) return safeSend(chatId, `🔎 No orders for ${phone}.`);
+
+        const paid = orders.filter((o) => PAID_STATUSES.includes(o.status));
+        const spent = paid.reduce((sum, o) => sum + Number(o.amount || 0), 0);
+        const byStatus = {};
+        orders.forEach((o) => { byStatus[o.status || "-"] = (byStatus[o.status || "-"] || 0) + 1; });
+        const last = orders[0];
+        const names = [...new Set(orders.map(o => o.name).filter(Boolean))];
+
+        const text =
+  `👤 ${names.join(" / ") || "-"}
+📞 ${last.phone || phone}${last.email ? `\n✉️ ${last.email}` : ""}
+
+Orders: ${orders.length} (${Object.entries(byStatus).map(([k, v]) => `${k} ${v}`).join(", ")})
+Total spent: ₹${spent} over ${paid.length} paid order(s)
+First order: ${shortDate(orders[orders.length - 1].created_at)}
+Last order: #${last.order_id} • ${last.status || "-"} • ₹${last.amount || 0} • ${shortDate(last.created_at)}`;
+
+        await safeSend(chatId, text, {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: `📦 Last order #${last.order_id}`, callback_data: `order_open:${last.order_id}` },
+              { text: "🔎 All orders", callback_data: `find_phone:${wanted}` }
+            ]]
+          }
+        });
+      } catch (e) {
+        log.error("/customer error", e);
+        await safeSend(chatId, "⚠️ Customer lookup failed.");
+      }
+    });
+  }
+
+  callbackHandlers.find_phone = async ({ chatId, arg }) => {
+    const orders = await searchOrders(arg);
+    const { text, opts } = findPage(newFindSession(arg, orders), 0);
+    await safeSend(chatId, text, opts);
+  };
+
+  /* ---------------------------------------------------
+     Payment reconciliation from bank/UPI statements
+     Send the statement CSV to the bot as a document. Credits are matched to
+     pending_payment orders on:
+       - an order id or the customer's phone in the remark (plus same amount), or
+       - same amount, credited within RECONCILE_WINDOW_HOURS after created_at.
+     Proposed matches get per-row buttons and "Confirm all", which run
+     handleMarkPaid. Ambiguous and unmatched credits are listed separately.
+  --------------------------------------------------- */
+  const RECONCILE_WINDOW_HOURS = Number(env.RECONCILE_WINDOW_HOURS || 72);
+  const RECONCILE_MAX_BYTES = 2 * 1024 * 1024;
+  const reconSessions = new Map(); // sid -> { credits, matches, ambiguous, unmatched }
+
+  // minimal RFC 4180 reader (quoted fields, "" escapes, CRLF); delimiter , ; or tab
+  function parseCsv(text) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = src.split(/\r?\n/).find(l => l.trim()) || "";
+    const delimiter = [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const c = src[i];
+      if (quoted) {
+        if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"') quoted = true;
+      else if (c === delimiter) { row.push(field); field = ""; }
+      else if (c === "\n" || c === "\r") {
+        if (c === "\r" && src[i + 1] === "\n") i++;
+        row.push(field); rows.push(row); row = []; field = "";
+      } else field += c;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(v => String(v).trim()));
+  }
+
+  const STATEMENT_DATE_FORMATS = [
+    "dd/MM/yyyy HH:mm:ss", "dd/MM/yyyy HH:mm", "dd/MM/yyyy", "dd/MM/yy",
+    "dd-MM-yyyy HH:mm:ss", "dd-MM-yyyy HH:mm", "dd-MM-yyyy", "dd-MM-yy",
+    "dd MMM yyyy HH:mm", "dd MMM yyyy", "dd-MMM-yyyy", "dd-MMM-yy",
+    "yyyy-MM-dd HH:mm:ss", "yyyy-MM-dd HH:mm"
+  ];
+
+  function parseStatementDate(raw) {
+    const s = String(raw || "").trim().replace(/\s+/g, " ");
+    if (!s) return null;
+    const iso = DateTime.fromISO(s, { zone: TIMEZONE });
+    if (iso.isValid) return iso;
+    for (const f of STATEMENT_DATE_FORMATS) {
+      const d = DateTime.fromFormat(s, f, { zone: TIMEZONE });
+      if (d.isValid) return d;
+    }
+    return null;
+  }
+
+  function parseAmount(raw) {
+    const s = String(raw || "").replace(/[₹,\s]|INR|Rs\.?/gi, "").replace(/(cr|dr)$/i, "");
+    if (!s || s === "-") return null;
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  /**
+   * Find the header row (banks put a preamble above it) and pull out credits.
+   * @returns {{ credits: Array<{ row: number, at: DateTime|null, amount: number, remark: string }>, error?: string }}
+   */
+  function parseStatement(text) {
+    const rows = parseCsv(text);
+    const find = (cells, re, skip) => cells.findIndex(h => re.test(h) && !(skip && skip.test(h)));
+    for (let h = 0; h < Math.min(rows.length, 30); h++) {
+      const head = rows[h].map(x => String(x).trim().toLowerCase());
+      // prefer the transaction date over "value date"
+      let dateCol = find(head, /date|time/, /value date/);
+      if (dateCol < 0) dateCol = find(head, /date/);
+      const creditCol = find(head, /credit|deposit|\bcr\b/, /debit|\bdr\b|card/);
+      const amountCol = find(head, /amount|amt/, /debit|balance/);
+      if (dateCol < 0 || (creditCol < 0 && amountCol < 0)) continue;
+      const typeCol = find(head, /^type$|cr\s*\/\s*dr|dr\s*\/\s*cr|direction/);
+      const remarkCols = head.map((x, i) => (/remark|narration|description|particular|detail|note|info|ref|utr|vpa|name/.test(x) ? i : -1)).filter(i => i >= 0);
+
+      const credits = [];
+      rows.slice(h + 1).forEach((r, idx) => {
+        let amount = creditCol >= 0 ? parseAmount(r[creditCol]) : null;
+        if (creditCol < 0) {
+          amount = parseAmount(r[amountCol]);
+          const type = typeCol >= 0 ? String(r[typeCol] || "") : String(r[amountCol] || "");
+          if (typeCol >= 0 ? !/cr|credit/i.test(type) : /dr$/i.test(type.trim())) amount = null;
+        }
+        if (!amount || amount <= 0) return;
+        credits.push({
+          row: h + idx + 2,
+          at: parseStatementDate(r[dateCol]),
+          amount,
+          remark: remarkCols.map(i => String(r[i] || "").trim()).filter(Boolean).join(" | ")
+        });
+      });
+      return { credits };
+    }
+    return { credits: [], error: "Couldn't find a header row with a date and a credit/amount column." };
+  }
+
+  // order ids / phones mentioned in a remark; phones compare on the last 10 digits
+  function ordersReferenced(remark, orders) {
+    const tokens = String(remark || "").match(/\d+/g) || [];
+    const phones = new Set(tokens.filter(t => t.length >= 10).map(phoneDigits));
+    return orders
+      .map(o => {
+        if (tokens.includes(String(o.order_id))) return { order: o, via: "order id" };
+        const ph = phoneDigits(o.phone);
+        if (ph.length === 10 && phones.has(ph)) return { order: o, via: "phone" };
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  function matchCredits(credits, orders) {
+    const sameAmount = (o, c) => Math.abs(Number(o.amount || 0) - c.amount) < 0.01;
+    const inWindow = (o, c) => {
+      if (!c.at) return true;
+      const created = DateTime.fromISO(o.created_at).setZone(TIMEZONE);
+      if (!created.isValid) return true;
+      // statements without a time column land at 00:00 of the credit day
+      const start = c.at.hour || c.at.minute ? created.minus({ minutes: 5 }) : created.startOf("day");
+      return c.at >= start && c.at <= created.plus({ hours: RECONCILE_WINDOW_HOURS });
+    };
+
+    let matches = [];
+    const ambiguous = [];
+    const unmatched = [];
+    credits.forEach(c => {
+      const refs = ordersReferenced(c.remark, orders);
+      const refHits = refs.filter(r => sameAmount(r.order, c));
+      if (refHits.length === 1) return matches.push({ credit: c, order: refHits[0].order, reason: `${refHits[0].via} + amount` });
+      if (refHits.length > 1) return ambiguous.push({ credit: c, candidates: refHits.map(r => r.order), reason: "remark names several orders" });
+      if (refs.length) return ambiguous.push({ credit: c, candidates: refs.map(r => r.order), reason: "remark names an order but the amount differs" });
+
+      const cands = orders.filter(o => sameAmount(o, c) && inWindow(o, c));
+      if (cands.length === 1) return matches.push({ credit: c, order: cands[0], reason: "amount + time" });
+      if (cands.length > 1) return ambiguous.push({ credit: c, candidates: cands, reason: "several orders with this amount" });
+      unmatched.push({ credit: c });
+    });
+
+    // one order claimed by several credits: let a human decide
+    const claims = {};
+    matches.forEach(m => { claims[m.order.order_id] = (claims[m.order.order_id] || 0) + 1; });
+    matches = matches.filter(m => {
+      if (claims[m.order.order_id] === 1) return true;
+      ambiguous.push({ credit: m.credit, candidates: [m.order], reason: "several credits match this order" });
+      return false;
+    });
+    return { matches, ambiguous, unmatched };
+  }
+
+  function creditLabel(c) {
+    const when = c.at ? c.at.toFormat("dd/LL HH:mm").replace(/ 00:00$/, "") : "?";
+    const remark = c.remark.length > 40 ? `${c.remark.slice(0, 40)}…` : c.remark;
+    return `₹${c.amount} • ${when}${remark ? ` • ${remark}` : ""}`;
+  }
+
+  function reconView(sid) {
+    const session = reconSessions.get(sid);
+    if (!session) return { text: "⌛ Reconciliation expired — send the statement again.", opts: {} };
+    const { matches, credits } = session;
+    const open = matches.filter(m => !m.done);
+
+    let text = `🏦 Statement: ${credits.length} credit(s)\n\n✅ Proposed matches (${matches.length}):\n`;
+    matches.forEach((m, i) => {
+      text += `${i + 1}. ${creditLabel(m.credit)}\n    → #${m.order.order_id} ${m.order.name || ""} (${m.reason})${m.done ? ` ${m.done}` : ""}\n`;
+    });
+    if (!matches.length) text += "none\n";
+    text += `\n❓ Ambiguous: ${session.ambiguous.length} • 🚫 Unmatched: ${session.unmatched.length}`;
+
+    const rows = matches
+      .map((m, i) => (m.done ? null : [{ text: `✅ ${i + 1} → #${m.order.order_id} ₹${m.credit.amount}`.slice(0, 40), callback_data: `recon_pick:${sid}:${i}` }]))
+      .filter(Boolean)
+      .slice(0, 20);
+    if (open.length > 1) rows.push([{ text: `✅ Confirm all (${open.length})`, callback_data: `recon_all:${sid}` }]);
+    return { text, opts: { reply_markup: { inline_keyboard: rows } } };
+  }
+
+  function formatReconLeftovers({ ambiguous, unmatched }) {
+    let text = "";
+    if (ambiguous.length) {
+      text += `❓ Ambiguous (${ambiguous.length}) — check and /paid manually:\n`;
+      ambiguous.forEach(a => {
+        text += `• ${creditLabel(a.credit)}\n   ${a.reason}: ${a.candidates.map(o => `#${o.order_id}`).join(", ")}\n`;
+      });
+    }
+    if (unmatched.length) {
+      text += `${text ? "\n" : ""}🚫 Unmatched credits (${unmatched.length}):\n`;
+      unmatched.forEach(u => { text += `• ${creditLabel(u.credit)} (row ${u.credit.row})\n`; });
+    }
+    return text;
+  }
+
+  async function confirmReconMatch(chatId, session, idx) {
+    const m = session.matches[idx];
+    if (!m || m.done) return;
+    const ok = await handleMarkPaid(chatId, m.order.order_id, {
+      note: `reconciled: ₹${m.credit.amount} ${m.credit.at ? m.credit.at.toISO() : ""} ${m.credit.remark}`.trim().slice(0, 300)
+    });
+    m.done = ok ? "✔️ paid" : "⚠️ skipped";
+  }
+
+  callbackHandlers.recon_pick = async ({ chatId, messageId, arg }) => {
+    const [sid, idx] = arg.split(":");
+    const session = reconSessions.get(sid);
+    if (session) await confirmReconMatch(chatId, session, Number(idx));
+    const { text, opts } = reconView(sid);
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  callbackHandlers.recon_all = async ({ chatId, messageId, arg }) => {
+    const session = reconSessions.get(arg);
+    if (session) {
+      for (let i = 0; i < session.matches.length; i++) await confirmReconMatch(chatId, session, i);
+    }
+    const { text, opts } = reconView(arg);
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  async function reconcileStatement(chatId, csvText) {
+    const { credits, error } = parseStatement(csvText);
+    if (error) return safeSend(chatId, `⚠️ ${error}`);
+    if (!credits.length) return safeSend(chatId, "📭 No credits found in this statement.");
+
+    // COD orders are paid to the courier, never into the account
+    const orders = (await db.orders.withStatus("pending_payment", { columns: "order_id,name,phone,amount,created_at,payment_method" }))
+      .filter(o => !isCod(o));
+    const result = matchCredits(credits, orders);
+    const sid = crypto.randomBytes(3).toString("hex");
+    reconSessions.set(sid, { credits, ...result });
+    if (reconSessions.size > 20) reconSessions.delete(reconSessions.keys().next().value);
+
+    const { text, opts } = reconView(sid);
+    await safeSend(chatId, text, opts);
+    const leftovers = formatReconLeftovers(result);
+    if (leftovers) await sendLong(chatId, leftovers);
+  }
+
+  if (bot) {
+    bot.onText(/\/reconcile\b/i, async (msg) => {
+      await safeSend(msg.chat.id, `🏦 Send the bank/UPI statement as a .csv document.\nCredits are matched to pending orders by order id/phone in the remark, or by amount within ${RECONCILE_WINDOW_HOURS}h of the order.`);
+    });
+
+    bot.on("document", async (msg) => {
+      const doc = msg.document || {};
+      const isCsv = /\.csv$/i.test(doc.file_name || "") || /csv/i.test(doc.mime_type || "");
+      if (!isCsv) return;
+      const chatId = msg.chat.id;
+      if (!(await authorize(msg.from, chatId, "reconcile"))) return;
+      if (doc.file_size > RECONCILE_MAX_BYTES) return safeSend(chatId, "⚠️ Statement too large (max 2 MB).");
+      try {
+        const link = await bot.getFileLink(doc.file_id);
+        const res = await telegramHttp({ method: "GET", url: link, responseType: "arraybuffer", timeout: 20000 });
+        await reconcileStatement(chatId, Buffer.from(res.data).toString("utf8"));
+      } catch (e) {
+        log.error("reconcile error", e);
+        await safeSend(chatId, "⚠️ Failed to read the statement.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     /stats [today|week|month|<from> <to>] [chart]
+     Cohort of orders created in the range (TIMEZONE days): received vs
+     paid, conversion, revenue/AOV of the paid ones, median time to pay,
+     top SKUs, sizes and states. "chart" adds a per-day bar chart, drawn
+     as SVG and rendered to PNG locally (resvg) so Telegram shows it as a
+     photo.
+  --------------------------------------------------- */
+  function parseStatsRange(raw) {
+    const now = DateTime.fromMillis(clock.now()).setZone(TIMEZONE);
+    const tokens = String(raw || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const chart = tokens.includes("chart");
+    const args = tokens.filter(t => t !== "chart");
+    const todayKey = now.toISODate();
+
+    if (!args.length || args[0] === "today") return { from: todayKey, to: todayKey, label: "today", chart };
+    if (args[0] === "week") return { from: now.startOf("week").toISODate(), to: todayKey, label: "this week", chart };
+    if (args[0] === "month") return { from: now.startOf("month").toISODate(), to: todayKey, label: now.toFormat("LLLL yyyy"), chart };
+
+    const from = parseDayKey(args[0]);
+    const to = args[1] ? parseDayKey(args[1]) : from;
+    if (!from || !to) return null;
+    return from <= to ? { from, to, label: `${from} → ${to}`, chart } : { from: to, to: from, label: `${to} → ${from}`, chart };
+  }
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function formatDuration(hours) {
+    if (hours == null) return "-";
+    if (hours < 1) return `${Math.round(hours * 60)} min`;
+    if (hours < 48) return `${hours.toFixed(1)} h`;
+    return `${(hours / 24).toFixed(1)} days`;
+  }
+
+  function tally(map, key, n = 1) {
+    map.set(key, (map.get(key) || 0) + n);
+  }
+
+  function topEntries(map, n) {
+    return [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, n);
+  }
+
+  function computeStats(orders, range) {
+    const isPaid = (o) => !!o.paid_at || PAID_STATUSES.includes(o.status);
+    const paid = orders.filter(isPaid);
+    const revenue = paid.reduce((sum, o) => sum + Number(o.amount || 0), 0);
+    const payHours = paid
+      .filter(o => o.paid_at && o.created_at)
+      .map(o => (new Date(o.paid_at) - new Date(o.created_at)) / 3600000)
+      .filter(h => h >= 0);
+
+    const skus = new Map();
+    const sizes = new Map();
+    const states = new Map();
+    paid.forEach((o) => {
+      orderItems(o).forEach((it) => {
+        const qty = Number(it.quantity) || 1;
+        tally(skus, it.sku || it.name || "-", qty);
+        tally(sizes, (it.size || "-").toUpperCase(), qty);
+      });
+      const st = states.get(o.state || "-") || { orders: 0, revenue: 0 };
+      st.orders += 1;
+      st.revenue += Number(o.amount || 0);
+      states.set(o.state || "-", st);
+    });
+
+    // per-day received / paid for the chart
+    const days = [];
+    for (let d = DateTime.fromISO(range.from, { zone: TIMEZONE }); d.toISODate() <= range.to; d = d.plus({ days: 1 })) {
+      days.push({ day: d.toISODate(), received: 0, paid: 0 });
+    }
+    const dayIndex = new Map(days.map((d, i) => [d.day, i]));
+    orders.forEach((o) => {
+      const key = DateTime.fromISO(o.created_at).setZone(TIMEZONE).toISODate();
+      const d = days[dayIndex.get(key)];
+      if (!d) return;
+      d.received += 1;
+      if (isPaid(o)) d.paid += 1;
+    });
+
+    return {
+      received: orders.length,
+      paid: paid.length,
+      expired: orders.filter(o => o.status === "expired").length,
+      conversion: orders.length ? (paid.length / orders.length) * 100 : 0,
+      revenue,
+      aov: paid.length ? revenue / paid.length : 0,
+      medianPayHours: median(payHours),
+      topSkus: topEntries(skus, 5),
+      sizes: topEntries(sizes, 10),
+      states: [...states.entries()].sort((a, b) => b[1].revenue - a[1].revenue).slice(0, 8),
+      days
+    };
+  }
+
+  function formatStats(st, range) {
+    const inr = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+    let text =
+  `📈 Stats — ${range.label}
+
+Orders received: ${st.received}
+Orders paid: ${st.paid}
+Orders expired: ${st.expired}
+Conversion: ${st.conversion.toFixed(1)}%
+Revenue: ${inr(st.revenue)}
+Avg order value: ${inr(st.aov)}
+Median time to pay: ${formatDuration(st.medianPayHours)}
+`;
+    if (st.topSkus.length) text += `\n🏆 Top SKUs\n${st.topSkus.map(([k, v], i) => `${i + 1}. ${k} — ${v} pcs`).join("\n")}\n`;
+    if (st.sizes.length) text += `\n📏 Sizes\n${st.sizes.map(([k, v]) => `${k}: ${v}`).join(" • ")}\n`;
+    if (st.states.length) text += `\n🗺️ States\n${st.states.map(([k, v]) => `${k}: ${v.orders} • ${inr(v.revenue)}`).join("\n")}\n`;
+    return text;
+  }
+
+  function escapeXml(str) {
+    return String(str).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+  }
+
+  // grouped bar chart (received vs paid per day) as a standalone SVG
+  function statsChartSvg(st, range) {
+    const width = 900;
+    const height = 420;
+    const pad = { top: 50, right: 20, bottom: 70, left: 50 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const max = Math.max(1, ...st.days.map(d => d.received));
+    const slot = plotW / Math.max(st.days.length, 1);
+    const barW = Math.max(2, Math.min(30, slot / 2 - 2));
+    const y = (v) => pad.top + plotH - (v / max) * plotH;
+    const labelEvery = Math.ceil(st.days.length / 15);
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="12">`);
+    parts.push(`<rect width="100%" height="100%" fill="#fff"/>`);
+    parts.push(`<text x="${pad.left}" y="28" font-size="16" font-weight="bold">${escapeXml(`Orders received vs paid — ${range.label}`)}</text>`);
+    for (let i = 0; i <= 4; i++) {
+      const v = Math.round((max * i) / 4);
+      parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" stroke="#eee"/>`);
+      parts.push(`<text x="${pad.left - 8}" y="${y(v) + 4}" text-anchor="end" fill="#666">${v}</text>`);
+    }
+    st.days.forEach((d, i) => {
+      const x = pad.left + i * slot + slot / 2;
+      parts.push(`<rect x="${x - barW - 1}" y="${y(d.received)}" width="${barW}" height="${pad.top + plotH - y(d.received)}" fill="#9ecae1"/>`);
+      parts.push(`<rect x="${x + 1}" y="${y(d.paid)}" width="${barW}" height="${pad.top + plotH - y(d.paid)}" fill="#3182bd"/>`);
+      if (i % labelEvery === 0) {
+        parts.push(`<text x="${x}" y="${pad.top + plotH + 18}" text-anchor="middle" fill="#333">${escapeXml(DateTime.fromISO(d.day).toFormat("dd/LL"))}</text>`);
+      }
+    });
+    parts.push(`<rect x="${pad.left}" y="${height - 28}" width="12" height="12" fill="#9ecae1"/><text x="${pad.left + 18}" y="${height - 18}">received</text>`);
+    parts.push(`<rect x="${pad.left + 100}" y="${height - 28}" width="12" height="12" fill="#3182bd"/><text x="${pad.left + 118}" y="${height - 18}">paid</text>`);
+    parts.push("</svg>");
+    return Buffer.from(parts.join("\n"), "utf8");
+  }
+
+  function statsChartPng(st, range) {
+    const resvg = new Resvg(statsChartSvg(st, range), { font: { loadSystemFonts: true, defaultFontFamily: "sans-serif" } });
+    return resvg.render().asPng();
+  }
+
+  if (bot) {
+    bot.onText(/\/stats(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const range = parseStatsRange(match[1]);
+      if (!range) return safeSend(chatId, "Usage: /stats [today|week|month|<from> <to>] [chart]");
+      try {
+        const orders = await fetchOrdersCreatedBetween(range.from, range.to);
+        const st = computeStats(orders, range);
+        await safeSend(chatId, formatStats(st, range));
+        if (range.chart) {
+          await safeSendPhoto(chatId, statsChartPng(st, range), `stats_${range.from}_${range.to}.png`, `📊 Received vs paid — ${range.label}`);
+        }
+      } catch (e) {
+        log.error("/stats error", e);
+        await safeSend(chatId, "⚠️ Failed to compute stats.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     /failures - outbox jobs (admin): retry / discard per job or all
+  --------------------------------------------------- */
+  function failuresView() {
+    if (!outbox.length) return { text: "📮 Outbox is empty — nothing failed.", opts: {} };
+    let text = `📮 Outbox: ${outbox.length} job(s)\n\n`;
+    const rows = [];
+    outbox.slice(0, 20).forEach((j, idx) => {
+      let when = j.created_at;
+      try { when = DateTime.fromISO(j.created_at).setZone(TIMEZONE).toFormat("dd/LL HH:mm"); } catch (_) {}
+      text += `${idx + 1}. [${j.id}] ${j.status === "stuck" ? "🛑" : "⏳"} ${j.label}\n   ${when} • ${j.attempts} attempt(s)\n   ${j.last_error}\n`;
+      rows.push([
+        { text: `🔁 ${idx + 1}`, callback_data: `outbox_retry:${j.id}` },
+        { text: `🗑 ${idx + 1}`, callback_data: `outbox_discard:${j.id}` }
+      ]);
+    });
+    if (outbox.length > 20) text += `\n…and ${outbox.length - 20} more.`;
+    rows.push([{ text: "🔁 Retry all", callback_data: "outbox_retry:all" }, { text: "↻ Refresh", callback_data: "outbox_list" }]);
+    return { text: text.slice(0, 4000), opts: { reply_markup: { inline_keyboard: rows } } };
+  }
+
+  callbackHandlers.outbox_list = async ({ chatId, messageId }) => {
+    const { text, opts } = failuresView();
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  callbackHandlers.outbox_retry = async ({ chatId, messageId, arg }) => {
+    const jobs = arg === "all" ? [...outbox] : outbox.filter(j => j.id === arg);
+    let ok = 0;
+    for (const job of jobs) if (await retryJob(job)) ok++;
+    const { text, opts } = failuresView();
+    await safeEdit(chatId, messageId, `🔁 Retried ${jobs.length}: ${ok} succeeded.\n\n${text}`, opts);
+  };
+
+  callbackHandlers.outbox_discard = async ({ chatId, messageId, arg, query }) => {
+    const job = outbox.find(j => j.id === arg);
+    if (job) {
+      outbox = outbox.filter(j => j.id !== arg);
+      saveOutbox();
+      log.warn("outbox job discarded", { by: query.from?.id, jobId: job.id, label: job.label });
+    }
+    const { text, opts } = failuresView();
+    await safeEdit(chatId, messageId, text, opts);
+  };
+
+  if (bot) {
+    bot.onText(/\/failures/i, async (msg) => {
+      const { text, opts } = failuresView();
+      await safeSend(msg.chat.id, text, opts);
+    });
+  }
+
+  /* ---------------------------------------------------
+     /users, /grant <telegram_id> <role> [name], /revoke <telegram_id>
+     (admin only; /grant and /revoke also work as a reply to the user's message)
+  --------------------------------------------------- */
+  if (bot) {
+    bot.onText(/\/users/i, async (msg) => {
+      const users = await loadBotUsers(true);
+      let text = "👥 Bot users\n\n";
+      ADMIN_IDS.forEach((id) => { text += `• ${id} — admin (ADMIN_IDS)\n`; });
+      [...users.values()].forEach((u) => { text += `• ${u.telegram_id} — ${u.role}${u.name ? ` (${u.name})` : ""}\n`; });
+      if (!ADMIN_IDS.length && !users.size) text += "No users configured.";
+      await safeSend(msg.chat.id, text);
+    });
+
+    bot.onText(/\/grant(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const args = (match[1] || "").trim().split(/\s+/).filter(Boolean);
+      const replied = msg.reply_to_message?.from;
+      if (replied && (!args.length || ROLES.includes(args[0].toLowerCase()))) {
+        args.unshift(String(replied.id));
+        if (args.length < 3) args.push(replied.username ? `@${replied.username}` : replied.first_name || "");
+      }
+      const [telegramId, roleArg, ...nameParts] = args;
+      const role = (roleArg || "").toLowerCase();
+      if (!/^-?\d+$/.test(telegramId || "") || !ROLES.includes(role)) {
+        return safeSend(chatId, `Usage: /grant <telegram_id> <${ROLES.join("|")}> [name]`);
+      }
+      try {
+        await db.insert(
+          "bot_users",
+          { telegram_id: telegramId, role, name: nameParts.join(" ") || null, added_by: String(msg.from?.id || ""), created_at: nowISO() },
+          { onConflict: "telegram_id", resolution: "merge-duplicates", returning: false }
+        );
+        await loadBotUsers(true);
+        log.info("role granted", { by: msg.from?.id, telegramId, role });
+        await safeSend(chatId, `✅ ${telegramId} is now ${role}.`);
+      } catch (e) {
+        log.error("/grant error", e);
+        await safeSend(chatId, "⚠️ Failed to grant role.");
+      }
+    });
+
+    bot.onText(/\/revoke(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const telegramId = match[1] || (msg.reply_to_message?.from?.id != null ? String(msg.reply_to_message.from.id) : "");
+      if (!/^-?\d+$/.test(telegramId)) return safeSend(chatId, "Usage: /revoke <telegram_id>");
+      if (ADMIN_IDS.includes(telegramId)) return safeSend(chatId, "⚠️ That admin comes from ADMIN_IDS; remove it from the environment instead.");
+      try {
+        await db.remove("bot_users", { telegram_id: op.eq(telegramId) });
+        await loadBotUsers(true);
+        log.info("role revoked", { by: msg.from?.id, telegramId });
+        await safeSend(chatId, `🚫 ${telegramId} removed.`);
+      } catch (e) {
+        log.error("/revoke error", e);
+        await safeSend(chatId, "⚠️ Failed to revoke.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     Templates (admin) + per-order shipment mode
+     /templates                             - names and where each comes from
+     /template_preview <name> <order_id>    - render a template with a real order
+     /shipment_mode <order_id> [mode|default] - per-order shipment mode (COD, Express…)
+  --------------------------------------------------- */
+  // sample data per template; anything else gets the plain order fields
+  const TEMPLATE_PREVIEWS = {
+    supplier_dispatch: (o) => buildSupplierText(o, buildPaidRows(o, normalizedItems(o), currentDayKey())),
+    supplier_cancel: (o) => buildSupplierCancelText(o),
+    order_panel: (o) => buildOrderPanel(o).text,
+    daily_list: (o) => formatPaidList(currentDayKey(), [{ order_id: o.order_id, name: o.name, created_at: o.created_at }]),
+    paid_confirmation: (o) => renderMessage("paid_confirmation", orderTemplateData(o, {
+      woo_result: "done", supabase_result: "updated", queued: ""
+    }))
+  };
+
+  if (bot) {
+    bot.onText(/\/templates\b/i, async (msg) => {
+      await refreshTemplates();
+      const rows = templates.list();
+      let text = "🧩 Message templates\n\n";
+      rows.forEach((t) => { text += `• ${t.name} — ${t.source}\n`; });
+      text += "\nPreview: /template_preview <name> <order_id>";
+      await safeSend(msg.chat.id, text);
+    });
+
+    bot.onText(/\/template_preview(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const [name, orderId] = (match[1] || "").trim().split(/\s+/);
+      if (!name || !orderId) return safeSend(chatId, "Usage: /template_preview <name> <order_id>");
+      try {
+        await refreshTemplates();
+        const order = await fetchOrder(orderId);
+        if (!order) return safeSend(chatId, `❌ Order ${orderId} not found.`);
+        const source = templates.resolve(name);
+        if (!source) return safeSend(chatId, `❌ No template "${name}". See /templates.`);
+        const preview = TEMPLATE_PREVIEWS[name]
+          ? TEMPLATE_PREVIEWS[name](order)
+          : renderMessage(name, orderTemplateData(order));
+        await safeSend(chatId, `🧩 ${source.name} (${source.source}) • shipment: ${shipmentModeFor(order)}\n──────────`);
+        await sendLong(chatId, preview || "(empty)");
+      } catch (e) {
+        log.error("/template_preview error", e);
+        await safeSend(chatId, `⚠️ Preview failed: ${e?.message || e}`);
+      }
+    });
+
+    bot.onText(/\/shipment_mode(?:\s+(.+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const [orderId, ...modeParts] = (match[1] || "").trim().split(/\s+/).filter(Boolean);
+      if (!orderId) return safeSend(chatId, "Usage: /shipment_mode <order_id> [Normal|COD|Express|default]");
+      try {
+        const order = await fetchOrder(orderId);
+        if (!order) return safeSend(chatId, `❌ Order ${orderId} not found.`);
+        if (!modeParts.length) return safeSend(chatId, `🚚 Order ${orderId}: ${shipmentModeFor(order)}${order.shipment_mode ? "" : " (store default)"}`);
+        const mode = modeParts.join(" ");
+        const value = /^default$/i.test(mode) ? null : mode;
+        await patch(orderId, { shipment_mode: value });
+        await safeSend(chatId, `🚚 Order ${orderId} shipment mode → ${shipmentModeFor({ ...order, shipment_mode: value })}`);
+      } catch (e) {
+        log.error("/shipment_mode error", e);
+        await safeSend(chatId, "⚠️ Failed to set shipment mode.");
+      }
+    });
+  }
+
+  /* ---------------------------------------------------
+     CLEAR / DELETE TODAY commands
+     /clear_today           → hide today's orders from /today (orders.hidden_from_today)
+     /restore_today         → show them again
+     /delete_today_preview  → shows what will be deleted
+     /delete_today_confirm  → soft-deletes today's paid_order_items (deleted_at/by),
+                              with an Undo button for DELETE_UNDO_MINUTES
+     Every action is written to paid_list_audit (who, what, when).
+  --------------------------------------------------- */
+  async function recordPaidListAudit(action, day, from, { itemIds = [], orderIds = [] } = {}) {
+    try {
+      const rows = await db.insert("paid_list_audit", {
+        action,
+        day,
+        actor_id: from?.id != null ? String(from.id) : null,
+        actor_name: actorName(from),
+        item_ids: itemIds,
+        order_ids: orderIds,
+        created_at: nowISO()
+      });
+      return rows?.[0] || null;
+    } catch (e) {
+      log.error("paid_list_audit insert failed", e);
+      return null;
+    }
+  }
+
+  async function setHiddenFromToday(dayKey, hidden) {
+    const rows = await fetchPaidList(dayKey);
+    const ids = [...new Set(rows.map(r => r.order_id))];
+    if (!ids.length) return [];
+    await db.update("orders", { order_id: op.in(ids) }, { hidden_from_today: hidden });
+    return ids;
+  }
+
+  callbackHandlers.delete_undo = async ({ chatId, messageId, arg, query }) => {
+    const [audit] = await db.select("paid_list_audit", { id: op.eq(arg) });
+    if (!audit || audit.action !== "delete") return safeEdit(chatId, messageId, "⚠️ Nothing to undo.");
+    if (audit.undone_at) return safeEdit(chatId, messageId, `↩️ Delete of ${audit.day} was already undone.`);
+    if (hoursSince(audit.created_at) * 60 > DELETE_UNDO_MINUTES) {
+      return safeEdit(chatId, messageId, `⌛ Undo window (${DELETE_UNDO_MINUTES} min) has passed for ${audit.day}.`);
+    }
+
+    const itemIds = Array.isArray(audit.item_ids) ? audit.item_ids : JSON.parse(audit.item_ids || "[]");
+    const restored = await db.paidItems.restore(itemIds);
+    await db.update("paid_list_audit", { id: op.eq(audit.id) }, { undone_at: nowISO() });
+    await recordPaidListAudit("undo_delete", audit.day, query.from, { itemIds, orderIds: audit.order_ids || [] });
+    await safeEdit(chatId, messageId, `↩️ Restored ${restored.length} item(s) of ${audit.day}'s paid list.\nRun /today to verify.`);
+  };
+
+  if (bot) {
+
+    bot.onText(/\/clear_today/i, async (msg) => {
+      const chatId = msg.chat.id;
+      const todayKey = currentDayKey();
+      try {
+        const ids = await setHiddenFromToday(todayKey, true);
+        if (!ids.length) return safeSend(chatId, `📭 No paid orders for ${todayKey}.`);
+        await recordPaidListAudit("clear", todayKey, msg.from, { orderIds: ids });
+        await safeSend(chatId, `🧹 Hid ${ids.length} order(s) from today's list (${todayKey}).\nNew paid orders will still show. /restore_today to undo.`);
+      } catch (e) {
+        log.error("/clear_today error", e);
+        await safeSend(chatId, "⚠️ Failed to clear today's list.");
+      }
+    });
+
+    bot.onText(/\/restore_today/i, async (msg) => {
+      const chatId = msg.chat.id;
+      const todayKey = currentDayKey();
+      try {
+        const ids = await setHiddenFromToday(todayKey, false);
+        if (!ids.length) return safeSend(chatId, `📭 No paid orders for ${todayKey}.`);
+        await recordPaidListAudit("restore", todayKey, msg.from, { orderIds: ids });
+        await safeSend(chatId, `👀 Today's list (${todayKey}) restored: ${ids.length} order(s).`);
+      } catch (e) {
+        log.error("/restore_today error", e);
+        await safeSend(chatId, "⚠️ Failed to restore today's list.");
+      }
+    });
+
+    // Preview rows for today
+    bot.onText(/\/delete_today_preview/i, async (msg) => {
+      const chatId = msg.chat.id;
+
+      const todayKey = currentDayKey();
+
+      try {
+        const rows = await db.paidItems.forDay(todayKey, { columns: "id,order_id,name,created_at" });
+        if (!rows.length)
+          return safeSend(chatId, `📭 No paid orders for ${todayKey}.`);
+
+        let text = `Preview delete for ${todayKey}:\n\n`;
+        rows.forEach((x, i) => {
+          text += `${i + 1}. ID:${x.id} | ${x.name} | Order:${x.order_id}\n`;
+        });
+
+        text += `\nRun /delete_today_confirm to delete today's list (undo possible for ${DELETE_UNDO_MINUTES} min).`;
+
+        await safeSend(chatId, text);
+      } catch (err) {
+        log.error("/delete_today_preview error", err);
+        await safeSend(chatId, "⚠️ Could not load preview.");
+      }
+    });
+
+    // Soft-delete today's list (audited, undoable for DELETE_UNDO_MINUTES)
+    bot.onText(/\/delete_today_confirm/i, async (msg) => {
+      const chatId = msg.chat.id;
+
+      const todayKey = currentDayKey();
+
+      try {
+        const deleted = await db.paidItems.softDeleteForDay(todayKey, actorName(msg.from));
+        if (!deleted.length) return safeSend(chatId, `📭 No paid orders for ${todayKey}.`);
+
+        const audit = await recordPaidListAudit("delete", todayKey, msg.from, {
+          itemIds: deleted.map(r => r.id),
+          orderIds: [...new Set(deleted.map(r => r.order_id))]
+        });
+        log.warn("paid list deleted", { by: actorName(msg.from), items: deleted.length, day: todayKey });
+
+        await safeSend(chatId,
+          `🗑️ Today's paid list (${todayKey}) has been deleted (${deleted.length} item(s)).\nRun /today to verify.`,
+          audit ? { reply_markup: { inline_keyboard: [[{ text: `↩️ Undo (${DELETE_UNDO_MINUTES} min)`, callback_data: `delete_undo:${audit.id}` }]] } } : {}
+        );
+
+      } catch (err) {
+        log.error("/delete_today_confirm error", err);
+        await safeSend(chatId, "⚠️ Delete failed.");
+      }
+    });
+
+  }
+
+  /* ---------------------------------------------------
+     Unpaid reminder scheduler
+     Every REMINDER_SCAN_MINUTES, look at pending_payment orders and queue
+     the latest due reminder for AutoJS: set next_message to the stage key
+     and flip its reminder_*_sent flag. If several stages are overdue (e.g.
+     the server was down) only the latest is sent and the earlier flags are
+     set too, so the customer is not spammed. The PATCH is filtered on
+     status=pending_payment so a paid/cancelled order is never touched.
+     COD orders are not waiting for a payment and are skipped.
+  --------------------------------------------------- */
+  function dueReminderStage(order) {
+    if (!order.created_at) return null;
+    const age = hoursSince(order.created_at);
+    let due = null;
+    REMINDER_STAGES.forEach((stage, idx) => {
+      if (age >= stage.hours && !order[`${stage.key}_sent`]) due = { stage, idx };
+    });
+    return due;
+  }
+
+  let reminderScanRunning = false;
+  async function runReminderScan() {
+    if (reminderScanRunning) return;
+    reminderScanRunning = true;
+    const queued = [];
+    try {
+      const flags = REMINDER_STAGES.map(s => `${s.key}_sent`).join(",");
+      const pending = await db.orders.withStatus("pending_payment", { columns: `order_id,name,amount,created_at,payment_method,${flags}` });
+
+      for (const order of pending.filter(o => !isCod(o))) {
+        const due = dueReminderStage(order);
+        if (!due) continue;
+
+        const body = { next_message: due.stage.key };
+        REMINDER_STAGES.slice(0, due.idx + 1).forEach((s) => { body[`${s.key}_sent`] = true; });
+
+        try {
+          const upd = await db.orders.patch(order.order_id, body, { status: op.eq("pending_payment") });
+          if (upd.length) queued.push({ order, stage: due.stage });
+        } catch (e) {
+          log.error("reminder patch failed", { orderId: order.order_id, err: e });
+        }
+      }
+    } catch (e) {
+      log.error("reminder scan failed", e);
+    } finally {
+      reminderScanRunning = false;
+    }
+
+    if (queued.length) {
+      log.info("unpaid reminders queued", { count: queued.length });
+      if (ADMIN_CHAT_ID) {
+        let text = `⏰ Unpaid orders — reminders queued (${queued.length})\n\n`;
+        queued.forEach(({ order, stage }, idx) => {
+          text += `${idx + 1}. ${order.name || "-"} (${order.order_id}) ₹${order.amount || 0} • ${stage.hours}h • ${Math.floor(hoursSince(order.created_at))}h old\n`;
+        });
+        await safeSend(ADMIN_CHAT_ID, text);
+      }
+    }
+    return queued;
+  }
+
+  /* ---------------------------------------------------
+     Expiry of abandoned orders
+     A pending_payment order older than ORDER_EXPIRY_DAYS (counted from
+     created_at, or from revived_at after a revive) becomes "expired":
+     Woo → cancelled, reserved stock released. The admin chat gets one
+     digest per scan with a ♻️ Revive button per order; reviving puts it
+     back to pending_payment (Woo → pending) and reserves the stock again.
+     COD orders never expire.
+  --------------------------------------------------- */
+  function expiryDue(order) {
+    const since = order.revived_at || order.created_at;
+    return ORDER_EXPIRY_DAYS > 0 && !isCod(order) && !!since && hoursSince(since) >= ORDER_EXPIRY_DAYS * 24;
+  }
+
+  async function expireOrder(order) {
+    const rows = await db.orders.patch(order.order_id, { status: "expired", expired_at: nowISO(), next_message: null }, {
+      status: op.eq("pending_payment")
+    });
+    if (!rows.length) return null;
+    const expired = rows[0];
+    await recordStatusChange(order.order_id, "pending_payment", "expired", "scheduler", `unpaid after ${ORDER_EXPIRY_DAYS} days`);
+    await moveStock(expired, "released");
+    const wooOk = await updateWooStatus(expired, "cancelled");
+    return { order: expired, wooOk };
+  }
+
+  let expiryScanRunning = false;
+  async function runExpiryScan() {
+    if (ORDER_EXPIRY_DAYS <= 0 || expiryScanRunning) return [];
+    expiryScanRunning = true;
+    const expired = [];
+    try {
+      const pending = await db.orders.withStatus("pending_payment", { columns: "order_id,created_at,revived_at,payment_method" });
+      for (const order of pending.filter(expiryDue)) {
+        try {
+          const done = await expireOrder(order);
+          if (done) expired.push(done);
+        } catch (e) {
+          log.error("order expiry failed", { orderId: order.order_id, err: e });
+        }
+      }
+    } catch (e) {
+      log.error("expiry scan failed", e);
+    } finally {
+      expiryScanRunning = false;
+    }
+
+    if (expired.length) {
+      log.info("stale orders expired", { count: expired.length });
+      if (ADMIN_CHAT_ID) await sendExpiryDigest(ADMIN_CHAT_ID, expired);
+    }
+    return expired;
+  }
+
+  // 20 orders per message keeps the text and the keyboard well inside Telegram's limits
+  async function sendExpiryDigest(chatId, expired) {
+    for (let i = 0; i < expired.length; i += 20) {
+      const chunk = expired.slice(i, i + 20);
+      let text = `⌛ Expired unpaid orders (${i + 1}-${i + chunk.length} of ${expired.length}) — no payment after ${ORDER_EXPIRY_DAYS} days\n\n`;
+      chunk.forEach(({ order, wooOk }, idx) => {
+        text += `${i + idx + 1}. ${order.name || "-"} (${order.order_id}) ₹${order.amount || 0} • ${shortDate(order.created_at)}${wooOk ? "" : " • ⚠️ Woo not updated"}\n`;
+      });
+      text += "\nTap to put an order back to pending payment.";
+      const buttons = chunk.map(({ order }) => ({ text: `♻️ ${order.order_id}`, callback_data: `order_revive:${order.order_id}` }));
+      const rows = [];
+      for (let j = 0; j < buttons.length; j += 4) rows.push(buttons.slice(j, j + 4));
+      await safeSend(chatId, text, { reply_markup: { inline_keyboard: rows } });
+    }
+  }
+
+  async function reviveOrder(chatId, orderId, actor) {
+    const rows = await db.orders.patch(orderId, { status: "pending_payment", expired_at: null, revived_at: nowISO() }, {
+      status: op.eq("expired")
+    });
+    if (!rows.length) {
+      const o = await fetchOrder(orderId);
+      await safeSend(chatId, o ? `⚠️ Order ${orderId} is ${o.status}, not expired. Nothing to revive.` : `❌ Order ${orderId} not found.`);
+      return false;
+    }
+    const order = rows[0];
+    await recordStatusChange(orderId, "expired", "pending_payment", "telegram", `revived${actor ? ` by ${actor}` : ""}`);
+    await moveStock(order, "reserved");
+    const wooOk = await updateWooStatus(order, "pending");
+    await safeSend(chatId, `♻️ Order ${orderId} revived.\nStatus → pending_payment (expires again ${ORDER_EXPIRY_DAYS > 0 ? `in ${ORDER_EXPIRY_DAYS} days` : "never"})\nWooCommerce → pending (${wooOk ? "done" : "attempted"})`);
+    return true;
+  }
+
+  callbackHandlers.order_revive = async ({ chatId, orderId, query }) => {
+    await reviveOrder(chatId, orderId, actorName(query.from));
+  };
+
+  if (bot) {
+    bot.onText(/\/revive(?:\s+(\S+))?/i, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const orderId = (match[1] || "").trim();
+      if (!orderId) return safeSend(chatId, "❌ Use: /revive <order_id>");
+      try {
+        await reviveOrder(chatId, orderId, actorName(msg.from));
+      } catch (e) {
+        log.error("/revive error", e);
+        await safeSend(chatId, `❌ Failed to revive ${orderId}.`);
+      }
+    });
+  }
+
+  // expiry first, so an order that is expiring now doesn't get a reminder queued too
+  async function runOrderScans() {
+    await runExpiryScan();
+    await runReminderScan();
+  }
+
+  if (REMINDER_SCAN_MINUTES > 0) {
+    every(REMINDER_SCAN_MINUTES * 60 * 1000, runOrderScans);
+    log.info("reminder scheduler started", { everyMinutes: REMINDER_SCAN_MINUTES, stagesHours: REMINDER_STAGES.map(s => s.hours), expiryDays: ORDER_EXPIRY_DAYS });
+  }
+
+  // ---------------- START / STOP ----------------
+  let server = null;
+  let timers = [];
+
+  /** listen on PORT, start the bot and the schedulers */
+  function start(port = env.PORT || 10000) {
+    server = app.listen(port, () => {
+      log.info("server listening", { port: server.address().port });
+      db.checkSchema()
+        .then(async (problems) => {
+          if (!problems.length) return log.info("supabase schema ok");
+          const err = new SchemaError(problems);
+          log.error("supabase schema mismatch", { problems: err.problems, hint: "apply migrations/ to the Supabase project" });
+          if (ADMIN_CHAT_ID) await safeSend(ADMIN_CHAT_ID, `❌ ${err.message}`);
+        })
+        .catch((e) => log.error("supabase schema check failed", e));
+      if (REMINDER_SCAN_MINUTES > 0) runOrderScans();
+    });
+    timers = schedules.map(({ ms, fn }) => setInterval(fn, ms));
+    refreshTemplates();
+    startTelegram().catch((e) => log.error("telegram start failed", e));
+    return server;
+  }
+
+  async function stop() {
+    timers.forEach(clearInterval);
+    timers = [];
+    if (ownBot && bot.isPolling()) await bot.stopPolling();
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  }
+
+  return {
+    app,
+    bot,
+    db,
+    start,
+    stop,
+    handleMarkPaid,
+    handleUnpaid,
+    processOutbox,
+    runOrderScans,
+    outbox: () => outbox
+  };
+}
+
+if (require.main === module) {
+  require("dotenv").config();
+  createApp().start();
 }
 
-// ---------------- LISTEN ----------------
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+module.exports = { createApp };
@@ -0,0 +1,47 @@
+// lib/alerts.js — turns repeated errors into one admin message.
+// Errors are grouped by key (the log message). A group alerts once it has
+// `threshold` errors inside `windowMs`, then stays quiet for `cooldownMs`
+// (errors keep being counted and the next alert says how many were muted).
+
+/**
+ * @param {Object} opts
+ * @param {(text: string) => Promise<any>} opts.send
+ * @param {number} [opts.threshold]   errors within the window before alerting
+ * @param {number} [opts.windowMs]
+ * @param {number} [opts.cooldownMs]  minimum gap between alerts for one key
+ * @param {() => number} [opts.now]
+ */
+function createAlerter({ send, threshold = 3, windowMs = 5 * 60 * 1000, cooldownMs = 30 * 60 * 1000, now = Date.now }) {
+  const groups = new Map(); // key -> { hits: number[], lastAlertAt, muted }
+
+  /** @returns {boolean} true when an alert was sent for this error */
+  function record(key, detail) {
+    const t = now();
+    const g = groups.get(key) || { hits: [], lastAlertAt: 0, muted: 0 };
+    groups.set(key, g);
+    g.hits = g.hits.filter(h => t - h < windowMs);
+    g.hits.push(t);
+
+    if (g.hits.length < threshold) return false;
+    if (g.lastAlertAt && t - g.lastAlertAt < cooldownMs) {
+      g.muted++;
+      return false;
+    }
+
+    const muted = g.muted;
+    g.lastAlertAt = t;
+    g.muted = 0;
+    g.hits = [];
+    const text = `🚨 Repeated error (${threshold}+ in ${Math.round(windowMs / 60000)} min): ${key}` +
+      `${detail ? `\n${String(detail).slice(0, 500)}` : ""}` +
+      `${muted ? `\n(${muted} more since the last alert)` : ""}`;
+    Promise.resolve()
+      .then(() => send(text))
+      .catch(() => {}); // alerting must never throw into the caller
+    return true;
+  }
+
+  return { record };
+}
+
+module.exports = { createAlerter };
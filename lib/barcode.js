@@ -0,0 +1,59 @@
+// lib/barcode.js — Code 128 (set B) barcodes drawn as rectangles on a pdfkit
+// document, so labels need no image or font dependency. Set B covers
+// printable ASCII, which is enough for order ids.
+
+// bar/space widths (in modules) for symbol values 0..105, then STOP
+const PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232"
+];
+const START_B = 104;
+const STOP = "2331112";
+
+/**
+ * Module widths for `text`, alternating bar/space and starting with a bar.
+ * @param {string} text printable ASCII (32..126)
+ * @returns {number[]}
+ */
+function code128(text) {
+  const values = [...String(text)].map((ch) => {
+    const code = ch.charCodeAt(0);
+    if (code < 32 || code > 126) throw new Error(`code128: unsupported character ${JSON.stringify(ch)}`);
+    return code - 32;
+  });
+  const checksum = values.reduce((sum, v, i) => sum + v * (i + 1), START_B) % 103;
+  return [START_B, ...values, checksum]
+    .map((v) => PATTERNS[v])
+    .concat(STOP)
+    .join("")
+    .split("")
+    .map(Number);
+}
+
+/**
+ * Draw a barcode filling `width` x `height` (plus the 10-module quiet zone inside that width).
+ * @param {import("pdfkit")} doc
+ */
+function drawCode128(doc, text, x, y, width, height) {
+  const widths = code128(text);
+  const modules = widths.reduce((a, b) => a + b, 0) + 20;
+  const unit = width / modules;
+  let cx = x + 10 * unit;
+  doc.save().fillColor("black");
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) doc.rect(cx, y, w * unit, height).fill();
+    cx += w * unit;
+  });
+  doc.restore();
+}
+
+module.exports = { code128, drawCode128 };
@@ -0,0 +1,394 @@
+// lib/db.js — Supabase (PostgREST) data access for VisionsJersey automation.
+// Every REST URL is built here: filters go through `op` + buildQuery (so values
+// are always encoded), every request has a timeout, and checkSchema() verifies
+// the columns index.js relies on (see migrations/001_init.sql).
+
+const axios = require("axios");
+
+/**
+ * @typedef {Object} Order
+ * @property {string} order_id          Woo order id as text (primary key)
+ * @property {number} [wc_order_id]
+ * @property {string|null} name
+ * @property {string|null} phone
+ * @property {string|null} email
+ * @property {number} amount
+ * @property {string} product           item names joined with " | "
+ * @property {string} sku               item SKUs joined with " | "
+ * @property {string} sizes
+ * @property {string} technique
+ * @property {number} quantity
+ * @property {string|null} address
+ * @property {string|null} state
+ * @property {string|null} pincode
+ * @property {string} status            pending_payment | paid | completed | cancelled | refunded | expired
+ * @property {string} created_at
+ * @property {string|null} paid_at
+ * @property {string} items             JSON array of { sku, name, quantity, size, technique, line_total }
+ * @property {boolean} paid_message_pending
+ * @property {boolean} resend_qr_pending
+ * @property {boolean} hidden_from_today
+ * @property {boolean} reminder_24_sent
+ * @property {boolean} reminder_48_sent
+ * @property {boolean} reminder_72_sent
+ * @property {string|null} next_message
+ * @property {boolean} tracking_sent
+ * @property {boolean} tracking_message_pending
+ * @property {string|null} tracking_number
+ * @property {string|null} courier
+ * @property {string|null} tracking_url
+ * @property {string|null} paid_undo   JSON of the fields /paid overwrote (read by /unpaid)
+ * @property {string|null} shipment_mode null = the store's default
+ * @property {string|null} stock_state   null | reserved | committed | released (see migrations/005_stock.sql)
+ * @property {string|null} expired_at    set when the expiry scan expired the order
+ * @property {string|null} revived_at    last revive; the expiry clock restarts from here
+ * @property {string|null} payment_method   Woo gateway id ("cod" = cash on delivery)
+ * @property {string|null} payment_method_title
+ * @property {number|null} shipping_total   excl. shipping tax, as Woo sends it
+ * @property {number|null} discount_total
+ * @property {string|null} coupon_codes   coupon codes joined with ", "
+ * @property {string|null} customer_note   note the customer left at checkout
+ */
+
+/**
+ * @typedef {Object} StockRow   one row per SKU + size
+ * @property {string} sku
+ * @property {string} size              upper-cased ("" for one-size items)
+ * @property {number} on_hand           physical count
+ * @property {number} reserved          held by unpaid orders
+ * @property {number|null} woo_product_id
+ * @property {number|null} woo_variation_id
+ * @property {string} updated_at
+ * @property {string|null} updated_by
+ */
+
+/**
+ * @typedef {Object} PaidOrderItem   one row per line item of a paid order
+ * @property {number} [id]
+ * @property {string} day            yyyy-mm-dd in TIMEZONE
+ * @property {string} order_id
+ * @property {string} name           customer name
+ * @property {number} amount         order total (repeated on each line)
+ * @property {number} line_no
+ * @property {string} product
+ * @property {string} sku
+ * @property {string} sizes
+ * @property {string} technique
+ * @property {number} quantity
+ * @property {number|null} line_total   GST-inclusive line amount after discounts (null when unknown)
+ * @property {string} created_at
+ * @property {string|null} deleted_at   soft delete (/delete_today_confirm)
+ * @property {string|null} deleted_by
+ */
+
+// columns index.js reads or writes, per table (checked on startup)
+const EXPECTED_COLUMNS = {
+  orders: [
+    "order_id", "wc_order_id", "name", "phone", "email", "amount", "product", "sku", "sizes",
+    "technique", "quantity", "address", "state", "pincode", "status", "created_at", "paid_at",
+    "items", "paid_message_pending", "resend_qr_pending", "hidden_from_today", "reminder_24_sent",
+    "reminder_48_sent", "reminder_72_sent", "next_message", "tracking_sent",
+    "tracking_message_pending", "tracking_number", "courier", "tracking_url", "paid_undo",
+    "shipment_mode", "stock_state", "expired_at", "revived_at", "payment_method",
+    "payment_method_title", "shipping_total", "discount_total", "coupon_codes", "customer_note"
+  ],
+  paid_order_items: [
+    "id", "day", "order_id", "name", "amount", "line_no", "product", "sku", "sizes", "technique",
+    "quantity", "line_total", "created_at", "deleted_at", "deleted_by"
+  ],
+  webhook_deliveries: ["delivery_id", "topic", "resource_id", "received_at"],
+  order_status_history: ["id", "order_id", "from_status", "to_status", "source", "note", "created_at"],
+  bot_users: ["telegram_id", "role", "name", "added_by", "created_at"],
+  message_templates: ["name", "body", "updated_at"],
+  stock: ["sku", "size", "on_hand", "reserved", "woo_product_id", "woo_variation_id", "updated_at", "updated_by"],
+  paid_list_audit: ["id", "action", "day", "actor_id", "actor_name", "item_ids", "order_ids", "created_at", "undone_at"]
+};
+
+// PostgREST list values containing separators must be double-quoted
+function quoteListValue(v) {
+  const s = String(v);
+  return /[,()"\\\s]/.test(s) ? `"${s.replace(/["\\]/g, "\\$&")}"` : s;
+}
+
+/** PostgREST filter operators: op.eq(5) -> "eq.5" */
+const op = {
+  eq: (v) => `eq.${v}`,
+  neq: (v) => `neq.${v}`,
+  gt: (v) => `gt.${v}`,
+  gte: (v) => `gte.${v}`,
+  lt: (v) => `lt.${v}`,
+  lte: (v) => `lte.${v}`,
+  ilike: (pattern) => `ilike.${pattern}`,
+  is: (v) => `is.${v}`,
+  in: (values) => `in.(${values.map(quoteListValue).join(",")})`,
+  notIn: (values) => `not.in.(${values.map(quoteListValue).join(",")})`
+};
+
+/**
+ * Encode a query object; array values repeat the key
+ * ({ created_at: [op.gte(a), op.lt(b)] } -> created_at=gte.a&created_at=lt.b).
+ * @param {Object<string, string|number|Array<string|number>|undefined>} [query]
+ */
+function buildQuery(query = {}) {
+  const parts = [];
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach((v) => parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(v)}`));
+  });
+  return parts.join("&");
+}
+
+class SchemaError extends Error {
+  constructor(problems) {
+    super(`Supabase schema mismatch:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.name = "SchemaError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.url        Supabase project URL
+ * @param {string} opts.key        API key (anon or service role)
+ * @param {number} [opts.timeout]  per-request timeout in ms
+ * @param {import("axios").AxiosInstance} [opts.http]
+ * @param {() => number} [opts.now]  clock for the timestamps written here
+ * @param {number} [opts.pageSize]  rows per page for selectAll; at most the project's max-rows
+ */
+function createDb({ url, key, timeout = 15000, http = axios, now = Date.now, pageSize = 1000 }) {
+  const base = `${String(url).replace(/\/$/, "")}/rest/v1`;
+  const headers = {
+    apikey: key,
+    Authorization: `Bearer ${key}`,
+    "Content-Type": "application/json",
+    Prefer: "return=representation"
+  };
+
+  /** "table?query" path, as stored in outbox jobs */
+  function path(table, query) {
+    const qs = buildQuery(query);
+    return qs ? `${table}?${qs}` : table;
+  }
+
+  async function request(method, table, { query, body, prefer, timeout: t } = {}) {
+    const res = await http.request({
+      method,
+      url: `${base}/${path(table, query)}`,
+      data: body,
+      headers: prefer ? { ...headers, Prefer: prefer } : headers,
+      timeout: t || timeout
+    });
+    return res.data;
+  }
+
+  /** replay a pre-built request (outbox jobs) */
+  async function raw({ method, path: p, body, prefer }) {
+    const res = await http.request({
+      method,
+      url: `${base}/${p}`,
+      data: body,
+      headers: prefer ? { ...headers, Prefer: prefer } : headers,
+      timeout
+    });
+    return res.data;
+  }
+
+  async function select(table, query = {}) {
+    return (await request("GET", table, { query: { select: "*", ...query } })) || [];
+  }
+
+  /**
+   * Every matching row: PostgREST cuts a response off at the project's
+   * max-rows without an error, so read pages of `pageSize` (limit/offset)
+   * until a short one. `query.order` must be a total order.
+   */
+  async function selectAll(table, query = {}) {
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await select(table, { ...query, limit: pageSize, offset });
+      rows.push(...page);
+      if (page.length < pageSize) return rows;
+    }
+  }
+
+  async function insert(table, rows, { onConflict, resolution, returning = true } = {}) {
+    const prefer = [resolution && `resolution=${resolution}`, returning ? "return=representation" : "return=minimal"]
+      .filter(Boolean).join(",");
+    return request("POST", table, { query: onConflict ? { on_conflict: onConflict } : undefined, body: rows, prefer });
+  }
+
+  async function update(table, query, body) {
+    return (await request("PATCH", table, { query, body })) || [];
+  }
+
+  async function remove(table, query) {
+    return request("DELETE", table, { query, prefer: "return=minimal" });
+  }
+
+  /** call a Postgres function (POST /rpc/<fn>) */
+  async function rpc(fn, args = {}) {
+    return request("POST", `rpc/${fn}`, { body: args });
+  }
+
+  const orders = {
+    /** @returns {Promise<Order|null>} */
+    async get(orderId, columns = "*") {
+      const rows = await select("orders", { order_id: op.eq(orderId), select: columns });
+      return rows[0] || null;
+    },
+
+    /**
+     * Patch one order; `where` adds guard filters (e.g. { status: op.eq("pending_payment") }).
+     * @returns {Promise<Order[]>} the updated rows (empty when the guard did not match)
+     */
+    async patch(orderId, body, where = {}) {
+      return update("orders", { order_id: op.eq(orderId), ...where }, body);
+    },
+
+    /** insert or merge on order_id */
+    async upsert(row) {
+      return insert("orders", row, { onConflict: "order_id", resolution: "merge-duplicates", returning: false });
+    },
+
+    /** @returns {Promise<Order[]>} */
+    async list({ filters = {}, columns = "*", order, limit } = {}) {
+      return select("orders", { ...filters, select: columns, order, limit });
+    },
+
+    /** orders with startISO <= created_at < endISO, oldest first (all pages) */
+    async createdBetween(startISO, endISO, { statuses = [], columns = "*" } = {}) {
+      return selectAll("orders", {
+        created_at: [op.gte(startISO), op.lt(endISO)],
+        status: statuses.length ? op.in(statuses) : undefined,
+        select: columns,
+        order: "created_at.asc,order_id.asc"
+      });
+    },
+
+    async byIds(ids, columns = "*") {
+      if (!ids.length) return [];
+      return select("orders", { order_id: op.in(ids), select: columns });
+    },
+
+    /** orders in one status, oldest first (all pages) */
+    async withStatus(status, { columns = "*" } = {}) {
+      return selectAll("orders", { status: op.eq(status), select: columns, order: "created_at.asc,order_id.asc" });
+    }
+  };
+
+  const paidItems = {
+    /**
+     * Live (not soft-deleted) rows for a day.
+     * @returns {Promise<PaidOrderItem[]>}
+     */
+    async forDay(day, { columns = "*", order = "created_at.asc" } = {}) {
+      return select("paid_order_items", { day: op.eq(day), deleted_at: op.is("null"), select: columns, order });
+    },
+
+    /** @param {PaidOrderItem[]} rows */
+    async insert(rows) {
+      return insert("paid_order_items", rows, { returning: false });
+    },
+
+    /**
+     * Soft-delete every live row of a day.
+     * @returns {Promise<PaidOrderItem[]>} the rows that were deleted
+     */
+    async softDeleteForDay(day, deletedBy) {
+      return update(
+        "paid_order_items",
+        { day: op.eq(day), deleted_at: op.is("null") },
+        { deleted_at: new Date(now()).toISOString(), deleted_by: deletedBy }
+      );
+    },
+
+    /**
+     * Soft-delete the live rows of one order (/unpaid).
+     * @returns {Promise<PaidOrderItem[]>} the rows that were deleted
+     */
+    async softDeleteForOrder(orderId, deletedBy) {
+      return update(
+        "paid_order_items",
+        { order_id: op.eq(orderId), deleted_at: op.is("null") },
+        { deleted_at: new Date(now()).toISOString(), deleted_by: deletedBy }
+      );
+    },
+
+    /** undo a soft delete */
+    async restore(ids) {
+      if (!ids.length) return [];
+      return update("paid_order_items", { id: op.in(ids) }, { deleted_at: null, deleted_by: null });
+    }
+  };
+
+  const stock = {
+    /** @returns {Promise<StockRow[]>} */
+    async forSku(sku) {
+      return select("stock", { sku: op.eq(sku), order: "size.asc" });
+    },
+
+    /** @returns {Promise<StockRow[]>} rows with on_hand - reserved below `threshold` (filtered here; PostgREST can't compare columns) */
+    async low(threshold) {
+      const rows = await select("stock", { order: "sku.asc,size.asc" });
+      return rows.filter(r => r.on_hand - r.reserved < threshold);
+    },
+
+    /** set the physical count, creating the row if needed (reserved is kept) */
+    async set(sku, size, onHand, updatedBy) {
+      const rows = await insert(
+        "stock",
+        { sku, size, on_hand: onHand, updated_at: new Date(now()).toISOString(), updated_by: updatedBy || null },
+        { onConflict: "sku,size", resolution: "merge-duplicates" }
+      );
+      return rows?.[0] || null;
+    },
+
+    /**
+     * Apply on_hand/reserved deltas atomically (stock_adjust); untracked pairs are ignored.
+     * @param {Array<{sku: string, size: string, on_hand?: number, reserved?: number}>} lines
+     * @returns {Promise<StockRow[]>} the tracked rows after the change
+     */
+    async adjust(lines) {
+      if (!lines.length) return [];
+      return (await rpc("stock_adjust", { lines })) || [];
+    }
+  };
+
+  /**
+   * Verify every table/column in `expected` exists. A failing table is probed
+   * column by column so the report names exactly what is missing.
+   * @returns {Promise<string[]>} problems (empty when the schema matches)
+   */
+  async function checkSchema(expected = EXPECTED_COLUMNS) {
+    const problems = [];
+    for (const [table, columns] of Object.entries(expected)) {
+      try {
+        await request("GET", table, { query: { select: columns.join(","), limit: 0 } });
+        continue;
+      } catch (e) {
+        const status = e?.response?.status;
+        const code = e?.response?.data?.code;
+        if (status === 404 || code === "42P01" || code === "PGRST205") {
+          problems.push(`table "${table}" does not exist`);
+          continue;
+        }
+        if (status !== 400) throw e;
+      }
+      const missing = [];
+      for (const col of columns) {
+        try {
+          await request("GET", table, { query: { select: col, limit: 0 } });
+        } catch (e) {
+          if (e?.response?.status === 400) missing.push(col);
+          else throw e;
+        }
+      }
+      if (missing.length) problems.push(`${table}: missing column(s) ${missing.join(", ")}`);
+    }
+    return problems;
+  }
+
+  return { op, path, request, raw, select, selectAll, insert, update, remove, rpc, orders, paidItems, stock, checkSchema };
+}
+
+module.exports = { createDb, op, buildQuery, EXPECTED_COLUMNS, SchemaError };
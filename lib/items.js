@@ -0,0 +1,96 @@
+// lib/items.js — line items out of a Woo order payload (webhook body, REST
+// order, or a stored orders row whose `items` column is JSON). Woo sends size
+// and technique in different places depending on the product type and plugin
+// (meta_data, attributes, a "Size: L" display string), so each is tried.
+// Pure function, covered by test/items.test.js with real payloads.
+
+/**
+ * @typedef {Object} OrderItem
+ * @property {string} sku
+ * @property {string} name
+ * @property {number} quantity
+ * @property {string} size
+ * @property {string} technique
+ * @property {number} line_total        GST-inclusive line amount (0 when Woo sent no totals)
+ * @property {number|null} product_id
+ * @property {number|null} variation_id
+ */
+
+/** @returns {OrderItem[]} */
+function extractItemsFromIncoming(order) {
+  let rawItems = [];
+  try {
+    if (order.items) {
+      if (typeof order.items === "string") {
+        try { rawItems = JSON.parse(order.items) || []; } catch (_) { rawItems = []; }
+      } else if (Array.isArray(order.items)) {
+        rawItems = order.items;
+      }
+    }
+  } catch (_) { rawItems = []; }
+
+  if (!rawItems.length && Array.isArray(order.line_items)) rawItems = order.line_items;
+  if (!rawItems.length && Array.isArray(order.line_items_data)) rawItems = order.line_items_data;
+  if (!rawItems.length && order?.order && Array.isArray(order.order.line_items)) rawItems = order.order.line_items;
+
+  const items = (rawItems || []).map((it) => {
+    const name = it.name || it.product_name || it.title || "";
+    const sku = it.sku || it.sku_id || (it.skuId ? String(it.skuId) : "") || "";
+    const quantity = Number(it.quantity || it.qty || 1);
+    // a stored row's items are already normalized
+    let size = typeof it.size === "string" ? it.size : "";
+    let technique = typeof it.technique === "string" ? it.technique : "";
+
+    const metaCandidates = it.meta || it.meta_data || it.metaData || it.meta_items || [];
+    const metas = Array.isArray(metaCandidates) ? metaCandidates : [];
+
+    metas.forEach((m) => {
+      const key = ((m.key || m.name || m.label || "") + "").toLowerCase();
+      const val = (m.value || m.display_value || m.option || m.label || "") + "";
+      if (!val) return;
+      if (key.includes("size") || key === "pa_sizes" || key === "sizes") {
+        if (!size) size = val;
+      } else if (key.includes("technique") || key === "technique") {
+        if (!technique) technique = val;
+      } else {
+        if ((m.name || "").toLowerCase().includes("size") && !size) size = m.option || m.value || "";
+        if ((m.name || "").toLowerCase().includes("technique") && !technique) technique = m.option || m.value || "";
+      }
+    });
+
+    const attrs = it.attributes || it.variation || it.attributes_data || [];
+    if (!size && Array.isArray(attrs)) {
+      attrs.forEach((a) => {
+        const aKey = ((a.name || a.key || "") + "").toLowerCase();
+        const aVal = (a.option || a.value || "") + "";
+        if (!aVal) return;
+        if (aKey.includes("size") && !size) size = aVal;
+        if (aKey.includes("technique") && !technique) technique = aVal;
+      });
+    }
+
+    if (!size && it.display && it.display.toLowerCase().includes("size:")) {
+      const m = it.display.match(/size:\s*([^\n,;]+)/i);
+      if (m) size = m[1].trim();
+    }
+
+    return {
+      sku: (sku + "").trim(),
+      name: (name + "").trim(),
+      quantity: quantity || 1,
+      size: (size + "").trim(),
+      technique: (technique + "").trim(),
+      // GST-inclusive line amount for invoices (0 when Woo didn't send totals)
+      line_total: it.line_total != null
+        ? Number(it.line_total) || 0
+        : Math.round((Number(it.total || 0) + Number(it.total_tax || 0)) * 100) / 100,
+      // Woo ids, remembered on the stock row so counts can be pushed back to the variation
+      product_id: Number(it.product_id) || null,
+      variation_id: Number(it.variation_id) || null
+    };
+  });
+
+  return items;
+}
+
+module.exports = { extractItemsFromIncoming };
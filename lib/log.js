@@ -0,0 +1,102 @@
+// lib/log.js — structured JSON logging for VisionsJersey automation.
+// One JSON object per line on stdout (warn/error on stderr):
+//   {"ts":"…","level":"info","msg":"order marked paid","reqId":"…","orderId":"123"}
+// Customer data is redacted before anything is written: known PII keys
+// (phone, email, address, names…) anywhere in the fields, plus phone
+// numbers and emails inside free-text strings.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// keys whose values are customer PII (matched case-insensitively, anywhere in the tree)
+const PII_KEYS = new Set([
+  "phone", "phone_number", "email", "billing_email", "address", "address_1", "address_2",
+  "name", "first_name", "last_name", "customer", "postcode", "pincode", "customer_ip_address", "customer_user_agent",
+  "customer_note", "billing", "shipping", "billing_address", "shipping_address"
+]);
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Indian mobile numbers: optional +91/0 prefix, 10 digits starting 6-9, optional space/dash in the middle
+const PHONE_RE = /(?<![\d.:-])(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g;
+
+function maskPhone(match) {
+  return `***${match.replace(/\D/g, "").slice(-3)}`;
+}
+
+function redactString(s) {
+  return String(s).replace(EMAIL_RE, "[email]").replace(PHONE_RE, maskPhone);
+}
+
+/** deep copy with PII removed; cycles and very deep trees are cut off */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value == null) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (depth > 8 || seen.has(value)) return "[…]";
+  seen.add(value);
+  if (Buffer.isBuffer(value)) return `[buffer ${value.length}b]`;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = PII_KEYS.has(k.toLowerCase()) && v != null && v !== "" ? "[redacted]" : redact(v, depth + 1, seen);
+  }
+  return out;
+}
+
+/** axios / Telegram / plain errors -> loggable object */
+function serializeError(e) {
+  if (!e || typeof e !== "object") return { message: String(e) };
+  const out = { message: e.message || String(e) };
+  if (e.code) out.code = e.code;
+  const status = e.response?.status ?? e.response?.statusCode;
+  if (status) out.status = status;
+  const data = e.response?.data ?? e.response?.body;
+  if (data) out.data = data;
+  if (!status && e.stack) out.stack = String(e.stack).split("\n").slice(0, 5).join("\n");
+  return out;
+}
+
+const isError = (x) => x instanceof Error || (x && typeof x === "object" && (x.response || x.isAxiosError));
+
+/**
+ * @param {Object} [opts]
+ * @param {"debug"|"info"|"warn"|"error"} [opts.level]  minimum level written
+ * @param {Object} [opts.base]          fields added to every line
+ * @param {(line: string, level: string) => void} [opts.write]
+ * @param {(entry: Object) => void} [opts.onError]  called for every error entry (alerting)
+ */
+function createLogger({ level = "info", base = {}, write, onError } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const out = write || ((line, lvl) => (lvl === "warn" || lvl === "error" ? process.stderr : process.stdout).write(`${line}\n`));
+
+  function emit(lvl, msg, fields) {
+    if (LEVELS[lvl] < min) return;
+    let extra = fields;
+    if (isError(extra)) extra = { err: extra };
+    else if (extra != null && typeof extra !== "object") extra = { detail: extra };
+    const entry = { ts: new Date().toISOString(), level: lvl, msg: redactString(msg), ...base };
+    for (const [k, v] of Object.entries(extra || {})) {
+      entry[k] = k === "err" ? redact(serializeError(v)) : redact(v);
+    }
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (_) {
+      line = JSON.stringify({ ts: entry.ts, level: lvl, msg: entry.msg, note: "fields not serializable" });
+    }
+    out(line, lvl);
+    if (lvl === "error" && onError) {
+      try { onError(entry); } catch (_) {}
+    }
+  }
+
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    /** logger that adds `fields` (e.g. { reqId }) to every line */
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, write: out, onError })
+  };
+}
+
+module.exports = { createLogger, redact, redactString, serializeError, LEVELS };
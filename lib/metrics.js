@@ -0,0 +1,59 @@
+// lib/metrics.js — in-process counters/gauges rendered in Prometheus text
+// format (exposition format 0.0.4) for the /metrics endpoint. Values live in
+// memory and reset when the process restarts, which Prometheus handles.
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => `${n}="${escapeLabel(labels[n] ?? "")}"`).join(",");
+}
+
+function createMetrics({ prefix = "" } = {}) {
+  const families = [];
+
+  /**
+   * Monotonic counter; `inc(labels?, n?)`.
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    // unlabelled counters export 0 from the start so rate() works immediately
+    if (!labelNames.length) values.set("", 0);
+    families.push({ name: prefix + name, help, type: "counter", values });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + n);
+      },
+      get: (labels = {}) => values.get(labelKey(labelNames, labels)) || 0
+    };
+  }
+
+  /** Gauge read at scrape time from `collect()`. */
+  function gauge(name, help, collect) {
+    families.push({ name: prefix + name, help, type: "gauge", collect });
+  }
+
+  function render() {
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+      if (f.collect) {
+        let v;
+        try { v = Number(f.collect()); } catch (_) { v = NaN; }
+        lines.push(`${f.name} ${Number.isFinite(v) ? v : "NaN"}`);
+        continue;
+      }
+      for (const [key, v] of f.values) lines.push(`${f.name}${key ? `{${key}}` : ""} ${v}`);
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,173 @@
+// lib/templates.js — message templates for Telegram/supplier texts.
+// Syntax (a small Mustache subset):
+//   {{field}} {{store.name}}         value (missing -> empty)
+//   {{sizes|upper|default:-}}         filters: upper, lower, trim, default:<text>
+//   {{#items}}…{{/items}}             loop over an array (or render once if truthy);
+//                                     inside, {{@index}} is the 1-based position
+//   {{^items}}…{{/items}}             render when missing / false / empty
+// A section tag alone on its line takes its line break with it, so loops can
+// be written one tag per line without leaving blank lines behind.
+// Templates come from <dir>/<name>.txt, overridden by rows of the
+// message_templates table.
+
+const fs = require("fs");
+const path = require("path");
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const FILTERS = {
+  upper: (v) => String(v).toUpperCase(),
+  lower: (v) => String(v).toLowerCase(),
+  trim: (v) => String(v).trim(),
+  default: (v, arg) => (v === "" || v == null ? arg ?? "" : v)
+};
+
+function lookup(stack, name) {
+  if (name === ".") return stack[stack.length - 1];
+  const [head, ...rest] = name.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (ctx && typeof ctx === "object" && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+// tokens -> tree of { type: "text"|"var"|"section"|"inverted", … }
+function parse(template) {
+  const src = String(template).replace(/^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm, "$1");
+  const root = { children: [] };
+  const stack = [root];
+  const re = /\{\{\s*([#^/]?)\s*([^}]*?)\s*\}\}/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    const parent = stack[stack.length - 1];
+    if (m.index > last) parent.children.push({ type: "text", value: src.slice(last, m.index) });
+    last = re.lastIndex;
+    const [, sigil, body] = m;
+    if (sigil === "#" || sigil === "^") {
+      const node = { type: sigil === "#" ? "section" : "inverted", name: body, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      const open = stack.pop();
+      if (open === root || open.name !== body) throw new TemplateError(`unexpected {{/${body}}}`);
+    } else {
+      const [name, ...filters] = body.split("|").map(s => s.trim());
+      parent.children.push({ type: "var", name, filters });
+    }
+  }
+  if (stack.length > 1) throw new TemplateError(`unclosed {{#${stack[stack.length - 1].name}}}`);
+  if (last < src.length) root.children.push({ type: "text", value: src.slice(last) });
+  return root.children;
+}
+
+function renderNodes(nodes, stack) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") out += node.value;
+    else if (node.type === "var") {
+      let v = lookup(stack, node.name);
+      for (const f of node.filters) {
+        const [fname, ...arg] = f.split(":");
+        const fn = FILTERS[fname];
+        if (!fn) throw new TemplateError(`unknown filter "${fname}"`);
+        v = fn(v ?? "", arg.length ? arg.join(":") : undefined);
+      }
+      out += v == null ? "" : String(v);
+    } else {
+      const v = lookup(stack, node.name);
+      const empty = !v || (Array.isArray(v) && !v.length);
+      if (node.type === "inverted") {
+        if (empty) out += renderNodes(node.children, stack);
+      } else if (Array.isArray(v)) {
+        v.forEach((item, i) => {
+          out += renderNodes(node.children, [...stack, { "@index": i + 1 }, item]);
+        });
+      } else if (!empty) {
+        out += renderNodes(node.children, typeof v === "object" ? [...stack, v] : stack);
+      }
+    }
+  }
+  return out;
+}
+
+/** render a template string against `data` */
+function render(template, data = {}) {
+  return renderNodes(parse(template), [data]);
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.dir                        directory of <name>.txt defaults
+ * @param {() => Promise<Array<{name: string, body: string}>>} [opts.loadRows]  table overrides
+ */
+function createTemplateStore({ dir, loadRows }) {
+  let files = {};
+  let rows = {};
+
+  function loadFiles() {
+    const next = {};
+    for (const f of fs.readdirSync(dir)) {
+      if (f.endsWith(".txt")) next[f.slice(0, -4)] = fs.readFileSync(path.join(dir, f), "utf8");
+    }
+    files = next;
+  }
+
+  /** re-read files and table rows; a failing table keeps the previous rows and rethrows */
+  async function refresh() {
+    loadFiles();
+    if (!loadRows) return;
+    const list = await loadRows();
+    rows = Object.fromEntries((list || []).filter(r => r.name && r.body != null).map(r => [r.name, r.body]));
+  }
+
+  // the table row beats the file
+  function candidates(name) {
+    const out = [];
+    if (name in rows) out.push({ name, body: rows[name], source: "table" });
+    if (name in files) out.push({ name, body: files[name], source: "file" });
+    return out;
+  }
+
+  /** @returns {{ name: string, body: string, source: "table"|"file" } | null} */
+  function resolve(name) {
+    return candidates(name)[0] || null;
+  }
+
+  /**
+   * Render the table row, else the file; a broken row (bad syntax) is
+   * reported through `onBroken` and the file is used.
+   */
+  function renderTemplate(name, data, { onBroken } = {}) {
+    const list = candidates(name);
+    if (!list.length) throw new TemplateError(`template "${name}" not found`);
+    let firstError;
+    for (const t of list) {
+      try {
+        return render(t.body, data);
+      } catch (e) {
+        firstError = firstError || e;
+        if (onBroken) onBroken(t, e);
+      }
+    }
+    throw firstError;
+  }
+
+  function list() {
+    return [...new Set([...Object.keys(files), ...Object.keys(rows)])].sort()
+      .map(n => ({ name: n, source: n in rows ? "table" : "file" }));
+  }
+
+  loadFiles();
+  return { refresh, resolve, render: renderTemplate, list };
+}
+
+module.exports = { render, parse, createTemplateStore, TemplateError };
@@ -0,0 +1,93 @@
+-- 001_init.sql — VisionsJersey automation schema (Supabase / PostgREST)
+-- Creates every table index.js uses, from scratch. Safe to re-run.
+-- The service talks to PostgREST with SUPABASE_ANON, so either keep RLS off on
+-- these tables or add policies for that role.
+
+create table if not exists orders (
+  order_id                 text primary key,
+  wc_order_id              bigint,
+  name                     text,
+  phone                    text,
+  email                    text,
+  amount                   numeric(12, 2) not null default 0,
+  product                  text not null default '',
+  sku                      text not null default '',
+  sizes                    text not null default '',
+  technique                text not null default '',
+  quantity                 integer not null default 0,
+  address                  text,
+  state                    text,
+  pincode                  text,
+  status                   text not null default 'pending_payment',
+  created_at               timestamptz not null default now(),
+  paid_at                  timestamptz,
+  items                    text,                      -- JSON array of { sku, name, quantity, size, technique }
+
+  -- flags picked up by the AutoJS sender
+  paid_message_pending     boolean not null default false,
+  resend_qr_pending        boolean not null default false,
+  hidden_from_today        boolean not null default false,
+  reminder_24_sent         boolean not null default false,
+  reminder_48_sent         boolean not null default false,
+  reminder_72_sent         boolean not null default false,
+  next_message             text,
+
+  -- shipping
+  tracking_sent            boolean not null default false,
+  tracking_message_pending boolean not null default false,
+  tracking_number          text,
+  courier                  text,
+  tracking_url             text
+);
+
+create index if not exists orders_status_idx on orders (status);
+create index if not exists orders_created_at_idx on orders (created_at);
+create index if not exists orders_phone_idx on orders (phone);
+
+-- one row per line item of a paid order; `day` is the paid date in TIMEZONE
+create table if not exists paid_order_items (
+  id          bigserial primary key,
+  day         date not null,
+  order_id    text not null,
+  name        text not null default '',
+  amount      numeric(12, 2) not null default 0,  -- order total, repeated on each line
+  line_no     integer not null default 1,
+  product     text not null default '',
+  sku         text not null default '',
+  sizes       text not null default '',
+  technique   text not null default '',
+  quantity    integer not null default 1,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists paid_order_items_day_idx on paid_order_items (day);
+create index if not exists paid_order_items_order_id_idx on paid_order_items (order_id);
+
+-- WooCommerce X-WC-Webhook-Delivery-ID values already processed
+create table if not exists webhook_deliveries (
+  delivery_id  text primary key,
+  topic        text,
+  resource_id  text,
+  received_at  timestamptz not null default now()
+);
+
+create table if not exists order_status_history (
+  id           bigserial primary key,
+  order_id     text not null,
+  from_status  text,
+  to_status    text not null,
+  source       text not null,          -- woocommerce | telegram | scheduler
+  note         text,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx on order_status_history (order_id);
+
+-- Telegram access control (ADMIN_IDS from the environment are always admins)
+create table if not exists bot_users (
+  telegram_id  bigint primary key,
+  role         text not null check (role in ('admin', 'staff', 'supplier')),
+  name         text,
+  added_by     text,
+  created_at   timestamptz not null default now()
+);
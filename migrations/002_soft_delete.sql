@@ -0,0 +1,23 @@
+-- 002_soft_delete.sql — soft delete + audit trail for today's paid list.
+-- /delete_today_confirm marks rows deleted instead of removing them, so the
+-- Undo button (and anyone reading the audit) can bring them back. Safe to re-run.
+
+alter table paid_order_items add column if not exists deleted_at timestamptz;
+alter table paid_order_items add column if not exists deleted_by text;
+
+create index if not exists paid_order_items_live_day_idx on paid_order_items (day) where deleted_at is null;
+
+-- who cleared / restored / deleted / undid the paid list, and what it touched
+create table if not exists paid_list_audit (
+  id          bigserial primary key,
+  action      text not null,          -- clear | restore | delete | undo_delete
+  day         date not null,
+  actor_id    text,
+  actor_name  text,
+  item_ids    jsonb not null default '[]'::jsonb,   -- paid_order_items.id
+  order_ids   jsonb not null default '[]'::jsonb,
+  created_at  timestamptz not null default now(),
+  undone_at   timestamptz
+);
+
+create index if not exists paid_list_audit_day_idx on paid_list_audit (day);
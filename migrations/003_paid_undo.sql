@@ -0,0 +1,5 @@
+-- 003_paid_undo.sql — lets /unpaid reverse a mistaken /paid. Safe to re-run.
+-- /paid stores the fields it overwrites (status, paid_at, reminder flags, ...)
+-- as JSON here; /unpaid writes them back and clears the column.
+
+alter table orders add column if not exists paid_undo text;
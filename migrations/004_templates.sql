@@ -0,0 +1,14 @@
+-- 004_templates.sql — editable message templates + multi-store orders. Safe to re-run.
+-- A row here overrides templates/<name>.txt; name "<template>@<store>" applies
+-- to one store only (store keys come from templates/stores.json).
+
+create table if not exists message_templates (
+  name        text primary key,
+  body        text not null,
+  updated_at  timestamptz not null default now()
+);
+
+-- which store the order came from (webhook X-WC-Webhook-Source) and its
+-- shipment mode override (Normal / COD / Express; null = store default)
+alter table orders add column if not exists store text not null default 'default';
+alter table orders add column if not exists shipment_mode text;
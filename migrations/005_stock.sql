@@ -0,0 +1,35 @@
+-- 005_stock.sql — stock per SKU + size. Safe to re-run.
+-- on_hand is the physical count (/stock_set); reserved is held by orders that
+-- arrived but are not paid yet. A webhook order reserves, /paid takes the
+-- units off on_hand, a cancel gives them back. SKU/size pairs without a row
+-- are simply not tracked.
+
+create table if not exists stock (
+  sku               text not null,
+  size              text not null default '',
+  on_hand           integer not null default 0,
+  reserved          integer not null default 0,
+  woo_product_id    bigint,
+  woo_variation_id  bigint,
+  updated_at        timestamptz not null default now(),
+  updated_by        text,
+  primary key (sku, size)
+);
+
+-- where the order's units are: null (not touched yet) | reserved | committed | released
+alter table orders add column if not exists stock_state text;
+
+-- apply deltas atomically: lines = [{ sku, size, on_hand, reserved, woo_product_id, woo_variation_id }]
+-- (on_hand/reserved are deltas). Returns the rows that exist, after the change.
+create or replace function stock_adjust(lines jsonb) returns setof stock
+language sql as $$
+  update stock s set
+    on_hand          = s.on_hand + coalesce((l->>'on_hand')::int, 0),
+    reserved         = greatest(0, s.reserved + coalesce((l->>'reserved')::int, 0)),
+    woo_product_id   = coalesce(s.woo_product_id, (l->>'woo_product_id')::bigint),
+    woo_variation_id = coalesce(s.woo_variation_id, (l->>'woo_variation_id')::bigint),
+    updated_at       = now()
+  from jsonb_array_elements(lines) l
+  where s.sku = l->>'sku' and s.size = coalesce(l->>'size', '')
+  returning s.*;
+$$;
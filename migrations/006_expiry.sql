@@ -0,0 +1,7 @@
+-- 006_expiry.sql — abandoned-order expiry. Safe to re-run.
+-- Pending orders older than ORDER_EXPIRY_DAYS get status 'expired' (Woo is
+-- cancelled); a revive puts them back to pending_payment and restarts the
+-- clock from revived_at.
+
+alter table orders add column if not exists expired_at timestamptz;
+alter table orders add column if not exists revived_at timestamptz;
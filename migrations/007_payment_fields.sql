@@ -0,0 +1,14 @@
+-- 007_payment_fields.sql — payment, shipping, discount and note from the Woo
+-- order. Safe to re-run.
+-- payment_method 'cod' marks cash-on-delivery orders: the supplier collects
+-- the order amount, and the reminder/expiry scans leave them alone.
+-- paid_order_items.line_total is the GST-inclusive line amount after discounts.
+
+alter table orders add column if not exists payment_method text;
+alter table orders add column if not exists payment_method_title text;
+alter table orders add column if not exists shipping_total numeric;
+alter table orders add column if not exists discount_total numeric;
+alter table orders add column if not exists coupon_codes text;
+alter table orders add column if not exists customer_note text;
+
+alter table paid_order_items add column if not exists line_total numeric;
@@ -0,0 +1,7 @@
+-- 008_single_store.sql — one deployment per store. Safe to re-run.
+-- Order ids are only unique within one WooCommerce store, so every store runs
+-- its own server and Supabase project with its own templates/store.json.
+-- Orders no longer record a store, and "<template>@<store>" rows in
+-- message_templates are no longer read.
+
+alter table orders drop column if exists store;
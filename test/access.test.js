@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, paidItem, ADMIN, STAFF, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+const DENIED = "⛔ You are not allowed to use this command.";
+
+test("a second command in the text is authorized on its own: /today /grant from the supplier chat", async () => {
+  ctx = setup();
+  await ctx.telegram.send("/today /grant 77 admin", { from: 77, chat: SUPPLIER_CHAT });
+
+  assert.equal(ctx.supabase.rows("bot_users").find(u => u.telegram_id === "77"), undefined);
+  const texts = ctx.telegram.texts(SUPPLIER_CHAT);
+  assert.ok(texts.includes(DENIED));
+  assert.ok(texts.some(t => /No paid orders for today yet/.test(t)));
+});
+
+test("staff cannot reach an admin command by prefixing an allowed one", async () => {
+  ctx = setup({
+    tables: {
+      paid_order_items: [paidItem(1, "11")]
+    }
+  });
+  await ctx.telegram.send("/menu /delete_today_confirm", { from: STAFF });
+
+  assert.equal(ctx.supabase.rows("paid_order_items")[0].deleted_at, null);
+  assert.ok(ctx.telegram.texts(500).includes(DENIED));
+});
+
+test("admins still run combined commands", async () => {
+  ctx = setup();
+  await ctx.telegram.send("/today /grant 77 staff", { from: ADMIN });
+  assert.equal(ctx.supabase.rows("bot_users").find(u => u.telegram_id === "77").role, "staff");
+});
+
+test("the supplier chat may read stock but not set it", async () => {
+  ctx = setup({ tables: { stock: [{ sku: "JER-ARG-H26", size: "L", on_hand: 5, reserved: 1 }] } });
+  await ctx.telegram.send("/stock JER-ARG-H26", { from: 77, chat: SUPPLIER_CHAT });
+  await ctx.telegram.send("/stock_set JER-ARG-H26 L 50", { from: 77, chat: SUPPLIER_CHAT });
+
+  const texts = ctx.telegram.texts(SUPPLIER_CHAT);
+  assert.match(texts[0], /JER-ARG-H26/);
+  assert.equal(texts[1], DENIED);
+  assert.equal(ctx.supabase.rows("stock")[0].on_hand, 5);
+});
+
+test("bot_users changes made elsewhere apply once the cache expires on the app clock", async () => {
+  ctx = setup();
+  await ctx.telegram.send("/today", { from: STAFF });
+  // revoked straight in Supabase (e.g. from another instance)
+  ctx.supabase.tables.bot_users = [];
+
+  await ctx.telegram.send("/today", { from: STAFF });
+  assert.notEqual(ctx.telegram.texts(500).at(-1), DENIED);
+
+  ctx.clock.advance(5 * 60 * 1000);
+  await ctx.telegram.send("/today", { from: STAFF });
+  assert.equal(ctx.telegram.texts(500).at(-1), DENIED);
+});
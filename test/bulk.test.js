@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, STAFF, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+function order(orderId, extra = {}) {
+  return {
+    order_id: orderId,
+    wc_order_id: Number(orderId),
+    name: `Customer ${orderId}`,
+    phone: `98765${orderId.padStart(5, "0")}`,
+    amount: 999,
+    status: "pending_payment",
+    created_at: "2026-03-09T10:00:00.000Z",
+    items: JSON.stringify([{ sku: `JER-${orderId}`, name: `Jersey ${orderId}`, quantity: 1, size: "M", technique: "" }]),
+    ...extra
+  };
+}
+
+const sent = (chatId) => ctx.telegram.calls.filter(c => c.chatId === String(chatId));
+
+test("/paid with several ids marks each paid, sends one supplier digest and one report", async () => {
+  ctx = setup({
+    tables: {
+      orders: [order("1201"), order("1202"), order("1205", { status: "paid", paid_at: "2026-03-09T12:00:00.000Z" })]
+    }
+  });
+  await ctx.telegram.send("/paid 1201 1202 1205 1299", { from: STAFF });
+
+  const byId = Object.fromEntries(ctx.supabase.rows("orders").map(o => [o.order_id, o]));
+  assert.equal(byId["1201"].status, "paid");
+  assert.equal(byId["1202"].status, "paid");
+  assert.equal(byId["1205"].paid_at, "2026-03-09T12:00:00.000Z");
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => r.order_id), ["1201", "1202"]);
+  assert.deepEqual([...ctx.woo.orders.keys()], ["1201", "1202"]);
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => h.note), ["bulk /paid by @user2", "bulk /paid by @user2"]);
+
+  const supplier = sent(SUPPLIER_CHAT);
+  assert.equal(supplier.length, 1);
+  assert.match(supplier[0].text, /^📦 2 NEW PAID ORDER\(S\)/);
+  assert.match(supplier[0].text, /1\.JER-1201[\s\S]*1\.JER-1202/);
+
+  // progress message, then the same message edited into the report
+  const operator = sent(500);
+  assert.deepEqual(operator.map(c => c.method), ["sendMessage", "editMessageText"]);
+  assert.equal(operator[0].text, "⏳ Marking paid… 0/4");
+  assert.equal(operator[1].opts.message_id, operator[0].messageId);
+  assert.equal(operator[1].text, [
+    "💰 Bulk /paid: 2/4 marked paid",
+    "",
+    "✅ 1201 Customer 1201 ₹999",
+    "✅ 1202 Customer 1202 ₹999",
+    "❌ 1205: already paid",
+    "❌ 1299: not found",
+    "",
+    "Add force to process already paid orders again.",
+    "Run /today for the day's list."
+  ].join("\n"));
+});
+
+test("progress edits are throttled on the app clock", async () => {
+  ctx = setup({ tables: { orders: [order("1201"), order("1202"), order("1203"), order("1204")] } });
+  // the first two orders take 1.5s each at Woo, the rest 0.1s
+  let calls = 0;
+  ctx.woo.onRequest = () => ctx.clock.advance(++calls <= 2 ? 1500 : 100);
+  await ctx.telegram.send("/paid 1201-1204", { from: STAFF });
+
+  const operator = sent(500);
+  assert.deepEqual(operator.map(c => c.method), ["sendMessage", "editMessageText", "editMessageText"]);
+  assert.equal(operator[1].text, "⏳ Marking paid… 2/4");
+  assert.match(operator[2].text, /^💰 Bulk \/paid: 4\/4 marked paid/);
+});
+
+test("ranges expand in order and duplicates run once", async () => {
+  ctx = setup({ tables: { orders: [order("1201"), order("1202"), order("1203")] } });
+  await ctx.telegram.send("/paid 1201-1203, 1202", { from: STAFF });
+
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => r.order_id), ["1201", "1202", "1203"]);
+  assert.match(ctx.telegram.texts(500).at(-1), /^💰 Bulk \/paid: 3\/3 marked paid/);
+});
+
+test("bad ranges are refused before anything runs", async () => {
+  ctx = setup({ tables: { orders: [order("1201")] } });
+  await ctx.telegram.send("/paid 1210-1201", { from: STAFF });
+  await ctx.telegram.send("/paid 1-500", { from: STAFF });
+
+  assert.deepEqual(ctx.telegram.texts(500), [
+    "❌ Range 1210-1201 runs backwards.",
+    "❌ Range 1-500 is too long (max 100 orders)."
+  ]);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "pending_payment");
+});
+
+test("a Woo outage during a bulk run is reported per order and queued", async () => {
+  ctx = setup({ tables: { orders: [order("1201"), order("1202")] } });
+  ctx.woo.fail({ status: 503 });
+  await ctx.telegram.send("/paid 1201 1202", { from: STAFF });
+
+  const report = ctx.telegram.texts(500).at(-1);
+  assert.match(report, /✅ 1201 Customer 1201 ₹999 • queued: WooCommerce\n✅ 1202 Customer 1202 ₹999\n/);
+  assert.match(report, /Queued writes are retried automatically/);
+  assert.equal(ctx.outbox().length, 1);
+});
+
+test("bulk paid documents come as one label sheet and one invoices file", async () => {
+  ctx = setup({ tables: { orders: [order("1201"), order("1202")] }, env: { PAID_DOCUMENTS: "label,invoice" } });
+  await ctx.telegram.send("/paid 1201 1202", { from: STAFF });
+
+  const docs = ctx.telegram.calls.filter(c => c.method === "sendDocument");
+  assert.deepEqual(docs.map(d => [d.chatId, d.opts.filename]), [
+    [String(SUPPLIER_CHAT), "labels_1201-1202.pdf"],
+    [String(SUPPLIER_CHAT), "invoices_1201-1202.pdf"],
+    ["500", "labels_1201-1202.pdf"],
+    ["500", "invoices_1201-1202.pdf"]
+  ]);
+  assert.ok(docs.every(d => d.opts.document.subarray(0, 5).toString() === "%PDF-"));
+});
+
+test("a multi-line /track paste reports per order in one edited message", async () => {
+  ctx = setup({
+    tables: {
+      orders: [
+        order("1201", { status: "paid" }),
+        order("1202", { status: "paid" }),
+        order("1204"),
+        order("1206", { status: "cancelled" })
+      ]
+    }
+  });
+  await ctx.telegram.send([
+    "/track 1201 9876501201 EK123456789IN",
+    "1202 0000000000 DL998877",
+    "1203",
+    "1204 9876501204 EK000000004IN",
+    "1206 9876501206 EK000000006IN"
+  ].join("\n"), { from: STAFF });
+
+  assert.equal(ctx.supabase.rows("orders")[0].tracking_number, "EK123456789IN");
+  assert.equal(ctx.supabase.rows("orders")[1].tracking_number, undefined);
+  // unpaid and cancelled orders are not shipped, here or in Woo
+  assert.deepEqual(ctx.supabase.rows("orders").slice(2).map(o => [o.status, o.tracking_number]), [
+    ["pending_payment", undefined],
+    ["cancelled", undefined]
+  ]);
+  assert.deepEqual([...ctx.woo.orders.keys()], ["1201"]);
+
+  const operator = sent(500);
+  assert.deepEqual(operator.map(c => c.method), ["sendMessage", "editMessageText"]);
+  assert.equal(operator[0].text, "⏳ Updating tracking… 0/5");
+  const report = operator[1].text.split("\n");
+  assert.equal(report[0], "📦 Tracking: 1/5 updated");
+  assert.match(report[2], /^📦 1201/);
+  assert.match(report[3], /^❌ 1202: phone 0000000000 does not match/);
+  assert.equal(report[4], "❌ \"1203\": expected <order_id> <phone> <tracking_id> [courier]");
+  assert.equal(report[5], "❌ 1204: not paid (status pending_payment).");
+  assert.equal(report[6], "❌ 1206: not paid (status cancelled).");
+});
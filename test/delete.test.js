@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, paidItem, TODAY, ADMIN, STAFF } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+function seed() {
+  return {
+    tables: {
+      orders: [
+        { order_id: "11", status: "paid", hidden_from_today: false },
+        { order_id: "12", status: "paid", hidden_from_today: false }
+      ],
+      paid_order_items: [
+        paidItem(1, "11"),
+        paidItem(2, "11", TODAY, { line_no: 2 }),
+        paidItem(3, "12"),
+        paidItem(4, "10", "2026-03-09"),
+        paidItem(5, "9", TODAY, { deleted_at: "2026-03-10T04:00:00.000Z", deleted_by: "earlier" })
+      ]
+    }
+  };
+}
+
+const live = () => ctx.supabase.rows("paid_order_items").filter(r => !r.deleted_at).map(r => r.id);
+
+test("/delete_today_preview lists today's live rows without deleting", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/delete_today_preview", { from: ADMIN });
+
+  const [text] = ctx.telegram.texts(500);
+  assert.match(text, /^Preview delete for 2026-03-10:/);
+  assert.match(text, /1\. ID:1 \| Customer 11 \| Order:11\n2\. ID:2 \| Customer 11 \| Order:11\n3\. ID:3 \| Customer 12 \| Order:12\n/);
+  assert.doesNotMatch(text, /ID:[45]/);
+  assert.deepEqual(live(), [1, 2, 3, 4]);
+});
+
+test("/delete_today_confirm soft-deletes today's rows, audits it and offers an undo", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/delete_today_confirm", { from: ADMIN });
+
+  assert.deepEqual(live(), [4]);
+  const deleted = ctx.supabase.rows("paid_order_items").filter(r => [1, 2, 3].includes(r.id));
+  assert.ok(deleted.every(r => r.deleted_at === "2026-03-10T06:30:00.000Z" && r.deleted_by === "@user1"));
+
+  const [audit] = ctx.supabase.rows("paid_list_audit");
+  assert.equal(audit.action, "delete");
+  assert.equal(audit.day, TODAY);
+  assert.equal(audit.actor_id, String(ADMIN));
+  assert.deepEqual(audit.item_ids, [1, 2, 3]);
+  assert.deepEqual(audit.order_ids, ["11", "12"]);
+
+  const reply = ctx.telegram.calls.find(c => c.method === "sendMessage");
+  assert.match(reply.text, /has been deleted \(3 item\(s\)\)/);
+  assert.equal(reply.opts.reply_markup.inline_keyboard[0][0].callback_data, `delete_undo:${audit.id}`);
+
+  ctx.telegram.clear();
+  await ctx.telegram.send("/today", { from: ADMIN });
+  assert.match(ctx.telegram.texts(500).join("\n"), /No paid orders for today yet/);
+});
+
+test("the undo button restores the rows inside the window", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/delete_today_confirm", { from: ADMIN });
+  const [audit] = ctx.supabase.rows("paid_list_audit");
+
+  ctx.clock.advance(10 * 60 * 1000);
+  await ctx.telegram.tap(`delete_undo:${audit.id}`, { from: ADMIN });
+
+  assert.deepEqual(live(), [1, 2, 3, 4]);
+  assert.ok(audit.undone_at);
+  assert.match(ctx.telegram.texts(500).at(-1), /Restored 3 item\(s\) of 2026-03-10/);
+  assert.deepEqual(ctx.supabase.rows("paid_list_audit").map(a => a.action), ["delete", "undo_delete"]);
+
+  await ctx.telegram.tap(`delete_undo:${audit.id}`, { from: ADMIN });
+  assert.match(ctx.telegram.texts(500).at(-1), /already undone/);
+});
+
+test("the undo button refuses once DELETE_UNDO_MINUTES have passed", async () => {
+  ctx = setup({ ...seed(), env: { DELETE_UNDO_MINUTES: "30" } });
+  await ctx.telegram.send("/delete_today_confirm", { from: ADMIN });
+  const [audit] = ctx.supabase.rows("paid_list_audit");
+
+  ctx.clock.advance(31 * 60 * 1000);
+  await ctx.telegram.tap(`delete_undo:${audit.id}`, { from: ADMIN });
+
+  assert.deepEqual(live(), [4]);
+  assert.match(ctx.telegram.texts(500).at(-1), /Undo window \(30 min\) has passed/);
+});
+
+test("staff cannot preview or delete the paid list", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/delete_today_preview", { from: STAFF });
+  await ctx.telegram.send("/delete_today_confirm", { from: STAFF });
+
+  assert.deepEqual(ctx.telegram.texts(500), [
+    "⛔ You are not allowed to use this command.",
+    "⛔ You are not allowed to use this command."
+  ]);
+  assert.deepEqual(live(), [1, 2, 3, 4]);
+  assert.equal(ctx.supabase.rows("paid_list_audit").length, 0);
+});
+
+test("/clear_today hides today's orders and /restore_today shows them again", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/clear_today", { from: STAFF });
+  assert.deepEqual(ctx.supabase.rows("orders").map(o => o.hidden_from_today), [true, true]);
+  assert.match(ctx.telegram.texts(500).at(-1), /Hid 2 order\(s\)/);
+  // rows stay; only the /today view changes
+  assert.deepEqual(live(), [1, 2, 3, 4]);
+
+  await ctx.telegram.send("/restore_today", { from: STAFF });
+  assert.deepEqual(ctx.supabase.rows("orders").map(o => o.hidden_from_today), [false, false]);
+  assert.deepEqual(ctx.supabase.rows("paid_list_audit").map(a => a.action), ["clear", "restore"]);
+});
+
+test("an empty day is reported", async () => {
+  ctx = setup({ now: "2026-03-12T06:30:00.000Z" });
+  await ctx.telegram.send("/delete_today_confirm", { from: ADMIN });
+  assert.deepEqual(ctx.telegram.texts(500), ["📭 No paid orders for 2026-03-12."]);
+});
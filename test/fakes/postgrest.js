@@ -0,0 +1,214 @@
+// test/fakes/postgrest.js — in-memory stand-in for Supabase's PostgREST API.
+// Plugs into lib/db.js as its `http` (axios-style request()) and supports the
+// subset the app uses: select/order/limit/offset, eq/neq/gt/gte/lt/lte/in/is/ilike
+// filters (and their not.<op> forms), inserts with on_conflict upserts,
+// PATCH/DELETE with filters and the stock_adjust RPC. Rows live in `tables`; every request is recorded.
+
+// primary keys (a plain insert of an existing key is a 409, like Postgres)
+const PRIMARY_KEYS = {
+  orders: ["order_id"],
+  webhook_deliveries: ["delivery_id"],
+  bot_users: ["telegram_id"],
+  message_templates: ["name"],
+  stock: ["sku", "size"]
+};
+// bigserial ids
+const SERIAL_TABLES = new Set(["paid_order_items", "paid_list_audit", "order_status_history"]);
+
+function httpError(status, data) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data };
+  return err;
+}
+
+// in.(a,"b,c",d) -> ["a", "b,c", "d"]
+function parseList(inner) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quoted && ch === "\\") cur += inner[++i];
+    else if (ch === '"') quoted = !quoted;
+    else if (ch === "," && !quoted) { out.push(cur); cur = ""; } else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== "" && b !== "" && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function matches(row, key, expr) {
+  const dot = expr.indexOf(".");
+  const op = expr.slice(0, dot);
+  const val = expr.slice(dot + 1);
+  const x = row[key];
+  switch (op) {
+    case "eq": return x != null && String(x) === val;
+    case "neq": return x != null && String(x) !== val;
+    case "gt": return x != null && compare(x, val) > 0;
+    case "gte": return x != null && compare(x, val) >= 0;
+    case "lt": return x != null && compare(x, val) < 0;
+    case "lte": return x != null && compare(x, val) <= 0;
+    case "not": return !matches(row, key, val);
+    case "in": return x != null && parseList(val.slice(1, -1)).includes(String(x));
+    case "is": return val === "null" ? x == null : x === (val === "true");
+    case "ilike": {
+      const re = new RegExp(`^${val.split("*").map(p => p.replace(/[.?+^$()[\]{}|\\]/g, "\\$&")).join(".*")}$`, "i");
+      return x != null && re.test(String(x));
+    }
+    default: throw httpError(400, { message: `fake PostgREST: unsupported operator ${op}` });
+  }
+}
+
+const RESERVED_PARAMS = new Set(["select", "order", "limit", "offset", "on_conflict"]);
+
+function filterRows(rows, params) {
+  const filters = [];
+  for (const [key, value] of params) if (!RESERVED_PARAMS.has(key)) filters.push([key, value]);
+  return rows.filter(r => filters.every(([k, v]) => matches(r, k, v)));
+}
+
+function project(rows, select) {
+  if (!select || select === "*") return rows.map(r => ({ ...r }));
+  const cols = select.split(",").map(c => c.trim()).filter(Boolean);
+  return rows.map(r => Object.fromEntries(cols.map(c => [c, r[c] ?? null])));
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(",").map((part) => {
+    const [col, dir] = part.split(".");
+    return { col, desc: dir === "desc" };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { col, desc } of keys) {
+      const c = compare(a[col] ?? "", b[col] ?? "");
+      if (c) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+/**
+ * @param {Object<string, Object[]>} [seed] table -> rows
+ * @param {Object} [opts]
+ * @param {number} [opts.maxRows]  cut GET responses off like the project's max-rows (no error)
+ */
+function createFakePostgrest(seed = {}, { maxRows = Infinity } = {}) {
+  const tables = {};
+  for (const [name, rows] of Object.entries(seed)) tables[name] = rows.map(r => ({ ...r }));
+  const requests = [];
+  const failures = [];
+  let nextId = 1000;
+
+  const table = (name) => (tables[name] = tables[name] || []);
+
+  function sameKey(keys, a, b) {
+    return keys.every(k => String(a[k] ?? "") === String(b[k] ?? ""));
+  }
+
+  function insertRows(name, body, params, prefer) {
+    const rows = [].concat(body || []);
+    const conflictKeys = params.get("on_conflict")?.split(",") || PRIMARY_KEYS[name];
+    const out = [];
+    for (const input of rows) {
+      const row = { ...input };
+      if (SERIAL_TABLES.has(name) && row.id == null) row.id = nextId++;
+      const existing = conflictKeys && table(name).find(r => sameKey(conflictKeys, r, row));
+      if (existing) {
+        if (prefer.includes("resolution=ignore-duplicates")) continue;
+        if (!prefer.includes("resolution=merge-duplicates")) {
+          throw httpError(409, { code: "23505", message: `duplicate key value violates unique constraint "${name}_pkey"` });
+        }
+        Object.assign(existing, row);
+        out.push(existing);
+      } else {
+        if (name === "stock") {
+          row.on_hand ??= 0;
+          row.reserved ??= 0;
+        }
+        table(name).push(row);
+        out.push(row);
+      }
+    }
+    return out;
+  }
+
+  // same semantics as migrations/005_stock.sql
+  function stockAdjust({ lines = [] }) {
+    const out = [];
+    for (const l of lines) {
+      const row = table("stock").find(s => s.sku === l.sku && s.size === (l.size ?? ""));
+      if (!row) continue;
+      row.on_hand += l.on_hand || 0;
+      row.reserved = Math.max(0, row.reserved + (l.reserved || 0));
+      row.woo_product_id = row.woo_product_id ?? l.woo_product_id ?? null;
+      row.woo_variation_id = row.woo_variation_id ?? l.woo_variation_id ?? null;
+      out.push({ ...row });
+    }
+    return out;
+  }
+
+  async function request({ method, url, data, headers = {} }) {
+    const u = new URL(url);
+    const name = decodeURIComponent(u.pathname.replace(/^.*\/rest\/v1\//, ""));
+    const params = [...u.searchParams.entries()];
+    const search = u.searchParams;
+    const prefer = String(headers.Prefer || "");
+    requests.push({ method, table: name, params, body: data });
+
+    const failure = failures.find(f => (!f.table || f.table === name) && (!f.method || f.method === method));
+    if (failure) {
+      if (--failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+      throw failure.error || httpError(503, { message: "fake PostgREST: unavailable" });
+    }
+
+    if (name.startsWith("rpc/")) {
+      if (name === "rpc/stock_adjust") return { status: 200, data: stockAdjust(data || {}) };
+      throw httpError(404, { code: "PGRST202", message: `function ${name.slice(4)} not found` });
+    }
+
+    const minimal = prefer.includes("return=minimal");
+    if (method === "GET") {
+      let rows = sortRows(filterRows(table(name), params), search.get("order"));
+      const offset = Number(search.get("offset") || 0);
+      rows = rows.slice(offset, search.has("limit") ? offset + Number(search.get("limit")) : undefined).slice(0, maxRows);
+      return { status: 200, data: project(rows, search.get("select")) };
+    }
+    if (method === "POST") {
+      const rows = insertRows(name, data, search, prefer);
+      return { status: 201, data: minimal ? "" : rows.map(r => ({ ...r })) };
+    }
+    if (method === "PATCH") {
+      const rows = filterRows(table(name), params);
+      rows.forEach(r => Object.assign(r, data));
+      return { status: 200, data: minimal ? "" : rows.map(r => ({ ...r })) };
+    }
+    if (method === "DELETE") {
+      const rows = filterRows(table(name), params);
+      tables[name] = table(name).filter(r => !rows.includes(r));
+      return { status: 204, data: "" };
+    }
+    throw httpError(405, { message: `fake PostgREST: ${method} not supported` });
+  }
+
+  return {
+    tables,
+    requests,
+    http: { request },
+    /** rows of a table (live objects) */
+    rows: (name) => table(name),
+    /** fail the next `times` requests matching { table, method } */
+    fail({ table: t, method, times = 1, error } = {}) {
+      failures.push({ table: t, method, times, error });
+    }
+  };
+}
+
+module.exports = { createFakePostgrest, httpError };
@@ -0,0 +1,142 @@
+// test/fakes/telegram.js — stand-in for a node-telegram-bot-api bot: the same
+// listener API (onText / on / processUpdate) and the send methods the app
+// calls, recording each outgoing call instead of talking to the Bot API.
+// send() / tap() / upload() deliver an update and resolve once every handler
+// is done; `http` serves uploaded files at the links getFileLink() returns.
+
+const { httpError } = require("./postgrest");
+
+const FILE_URL = "https://api.telegram.org/file/bot-test/";
+
+function createFakeTelegram() {
+  const textHandlers = [];
+  const listeners = {};
+  const calls = []; // { method, chatId, text, opts, messageId }
+  const failures = [];
+  const files = new Map(); // file_id -> Buffer
+  let messageId = 100;
+  let updateId = 1;
+
+  function record(method, chatId, text, opts = {}) {
+    const failure = failures.findIndex(f => f.method === method);
+    if (failure !== -1) throw failures.splice(failure, 1)[0].error;
+    const sent = { message_id: ++messageId, chat: { id: chatId }, text };
+    calls.push({ method, chatId: String(chatId), text, opts, messageId: sent.message_id });
+    return sent;
+  }
+
+  const bot = {
+    onText(regexp, callback) {
+      textHandlers.push({ regexp, callback });
+    },
+    on(event, fn) {
+      (listeners[event] = listeners[event] || []).push(fn);
+    },
+    isPolling: () => true,
+    async sendMessage(chatId, text, opts = {}) {
+      return record("sendMessage", chatId, String(text), opts);
+    },
+    async sendDocument(chatId, doc, opts = {}, fileOpts = {}) {
+      return record("sendDocument", chatId, opts.caption || "", { ...opts, ...fileOpts, document: doc });
+    },
+    async sendPhoto(chatId, photo, opts = {}, fileOpts = {}) {
+      return record("sendPhoto", chatId, opts.caption || "", { ...opts, ...fileOpts, photo });
+    },
+    async editMessageText(text, opts = {}) {
+      return record("editMessageText", opts.chat_id, String(text), opts);
+    },
+    async answerCallbackQuery(id, opts = {}) {
+      record("answerCallbackQuery", "", opts.text || "", { id, ...opts });
+      return true;
+    },
+    async getFileLink(fileId) {
+      return `${FILE_URL}${fileId}`;
+    },
+    // same order as node-telegram-bot-api: "message", the type event, then every matching onText
+    processUpdate(update) {
+      const pending = [];
+      const emit = (event, ...args) => (listeners[event] || []).forEach(fn => pending.push(fn(...args)));
+      const msg = update.message;
+      if (msg) {
+        emit("message", msg);
+        if (msg.document) emit("document", msg);
+        if (msg.text) {
+          emit("text", msg);
+          for (const { regexp, callback } of textHandlers) {
+            regexp.lastIndex = 0;
+            const match = regexp.exec(msg.text);
+            if (match) pending.push(callback(msg, match));
+          }
+        }
+      }
+      if (update.callback_query) emit("callback_query", update.callback_query);
+      return Promise.all(pending);
+    }
+  };
+
+  // axios-style GET of a getFileLink() url
+  async function http({ url }) {
+    const file = url.startsWith(FILE_URL) && files.get(url.slice(FILE_URL.length));
+    if (!file) throw httpError(404, { ok: false, description: "Not Found" });
+    return { status: 200, data: file };
+  }
+
+  const user = (from) => (typeof from === "object" ? from : { id: from, username: `user${from}`, first_name: `User${from}` });
+
+  return {
+    bot,
+    http,
+    calls,
+    /** deliver a text message from `from` (user id or user object) in `chat` */
+    send(text, { from = 1, chat = 500 } = {}) {
+      return bot.processUpdate({
+        update_id: updateId++,
+        message: {
+          message_id: ++messageId,
+          from: user(from),
+          chat: { id: chat, type: "private" },
+          date: 0,
+          text
+        }
+      });
+    },
+    /** send `content` as a document named `fileName` */
+    upload(fileName, content, { from = 1, chat = 500, mimeType = "text/csv" } = {}) {
+      const data = Buffer.from(content);
+      const fileId = `file${files.size + 1}`;
+      files.set(fileId, data);
+      return bot.processUpdate({
+        update_id: updateId++,
+        message: {
+          message_id: ++messageId,
+          from: user(from),
+          chat: { id: chat, type: "private" },
+          date: 0,
+          document: { file_id: fileId, file_name: fileName, mime_type: mimeType, file_size: data.length }
+        }
+      });
+    },
+    /** tap an inline button with callback_data `data` */
+    tap(data, { from = 1, chat = 500, messageId: mid = 1 } = {}) {
+      return bot.processUpdate({
+        update_id: updateId++,
+        callback_query: { id: `cb${updateId}`, from: user(from), data, message: { message_id: mid, chat: { id: chat } } }
+      });
+    },
+    /** sendMessage / editMessageText texts, optionally for one chat */
+    texts(chatId) {
+      return calls
+        .filter(c => (c.method === "sendMessage" || c.method === "editMessageText") && (chatId == null || c.chatId === String(chatId)))
+        .map(c => c.text);
+    },
+    /** make the next call of `method` throw `error` */
+    fail(method, error) {
+      failures.push({ method, error });
+    },
+    clear() {
+      calls.length = 0;
+    }
+  };
+}
+
+module.exports = { createFakeTelegram };
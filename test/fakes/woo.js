@@ -0,0 +1,65 @@
+// test/fakes/woo.js — in-memory stand-in for the WooCommerce REST API (wc/v3
+// subset the app writes to). Used as the app's `woo.http` (axios-style call):
+//   PUT  orders/<id>                          status updates
+//   POST orders/<id>/notes                    tracking notes
+//   PUT  products/<id>/variations/<id>        stock sync
+// Orders the app never touched are created on first write; `onRequest`, when
+// set, is called with each request before it is answered.
+
+const { httpError } = require("./postgrest");
+
+function createFakeWoo() {
+  const orders = new Map(); // id -> { id, status, ... }
+  const notes = [];         // { orderId, note, customer_note }
+  const variations = new Map(); // "product/variation" -> body
+  const requests = [];
+  const failures = [];
+
+  async function http({ method, url, data, auth }) {
+    const path = new URL(url).pathname.replace(/^.*\/wc\/v3\//, "");
+    requests.push({ method, path, body: data, auth });
+    if (fake.onRequest) await fake.onRequest({ method, path, body: data });
+
+    const failure = failures[0];
+    if (failure) {
+      if (--failure.times <= 0) failures.shift();
+      throw httpError(failure.status, { code: "woocommerce_rest_error", message: "fake Woo: unavailable" });
+    }
+
+    let m = /^orders\/(\d+)$/.exec(path);
+    if (m && method === "PUT") {
+      const order = { ...(orders.get(m[1]) || { id: Number(m[1]) }), ...data };
+      orders.set(m[1], order);
+      return { status: 200, data: order };
+    }
+    m = /^orders\/(\d+)\/notes$/.exec(path);
+    if (m && method === "POST") {
+      const note = { id: notes.length + 1, orderId: m[1], ...data };
+      notes.push(note);
+      return { status: 201, data: note };
+    }
+    m = /^products\/(\d+)\/variations\/(\d+)$/.exec(path);
+    if (m && method === "PUT") {
+      const key = `${m[1]}/${m[2]}`;
+      variations.set(key, { ...(variations.get(key) || {}), ...data });
+      return { status: 200, data: { id: Number(m[2]), ...variations.get(key) } };
+    }
+    throw httpError(404, { code: "rest_no_route", message: `fake Woo: no route ${method} ${path}` });
+  }
+
+  const fake = {
+    http,
+    orders,
+    notes,
+    variations,
+    requests,
+    /** fail the next `times` calls with HTTP `status` */
+    fail({ times = 1, status = 503 } = {}) {
+      failures.push({ times, status });
+    },
+    onRequest: null
+  };
+  return fake;
+}
+
+module.exports = { createFakeWoo };
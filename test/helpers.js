@@ -0,0 +1,97 @@
+// test/helpers.js — builds the app on top of the fakes, offline.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("..");
+const { createFakePostgrest } = require("./fakes/postgrest");
+const { createFakeWoo } = require("./fakes/woo");
+const { createFakeTelegram } = require("./fakes/telegram");
+
+const ADMIN = 1;
+const STAFF = 2;
+const SUPPLIER_CHAT = 900;
+const ADMIN_CHAT = 700;
+
+// schedulers off, unsigned webhooks accepted; user 1 is an admin, user 2 staff (bot_users)
+const BASE_ENV = {
+  ADMIN_IDS: String(ADMIN),
+  SUPPLIER_CHAT_ID: String(SUPPLIER_CHAT),
+  ADMIN_CHAT_ID: String(ADMIN_CHAT),
+  WC_KEY: "ck_test",
+  WC_SECRET: "cs_test",
+  WC_API_URL: "https://shop.test/wp-json/wc/v3",
+  WC_WEBHOOK_ALLOW_UNSIGNED: "1",
+  TIMEZONE: "Asia/Kolkata",
+  REMINDER_SCAN_MINUTES: "0",
+  OUTBOX_INTERVAL_SECONDS: "0",
+  TEMPLATES_REFRESH_MINUTES: "0",
+  PAID_DOCUMENTS: "",
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || "error"
+};
+
+// the day setup()'s clock starts on (2026-03-10 12:00 IST)
+const TODAY = "2026-03-10";
+
+/** a live paid_order_items row: line 1 of `orderId`, paid on `day` */
+function paidItem(id, orderId, day = TODAY, extra = {}) {
+  return { id, day, order_id: orderId, line_no: 1, name: `Customer ${orderId}`, sku: `SKU-${orderId}`, quantity: 1, created_at: `${day}T05:00:00.000Z`, deleted_at: null, ...extra };
+}
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {Object<string, Object[]>} [opts.tables]  PostgREST seed rows
+ * @param {Object} [opts.env]                      overrides BASE_ENV
+ * @param {string} [opts.now]                      ISO time the clock starts at
+ * @param {number} [opts.maxRows]                  PostgREST max-rows (GET responses are cut off)
+ */
+function setup({ tables = {}, env = {}, now = "2026-03-10T06:30:00.000Z", maxRows } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vj-test-"));
+  const supabase = createFakePostgrest({
+    bot_users: [{ telegram_id: String(STAFF), role: "staff", name: "Staff" }],
+    ...tables
+  }, { maxRows });
+  const woo = createFakeWoo();
+  const telegram = createFakeTelegram();
+  let time = Date.parse(now);
+  const clock = {
+    now: () => time,
+    advance: (ms) => { time += ms; }
+  };
+  const app = createApp({
+    supabase: { url: "http://postgrest.test", key: "test-key", http: supabase.http },
+    woo: { http: woo.http },
+    telegram: { bot: telegram.bot, http: telegram.http },
+    clock,
+    env: { ...BASE_ENV, OUTBOX_FILE: path.join(dir, "outbox.json"), ...env }
+  });
+  return {
+    ...app,
+    supabase,
+    woo,
+    telegram,
+    clock,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+/** POST `body` to the webhook on an ephemeral port; resolves to { status, text } */
+async function postWebhook(app, body, headers = {}) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/woocommerce-webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    return { status: res.status, text: await res.text() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+module.exports = { setup, fixture, paidItem, postWebhook, TODAY, ADMIN, STAFF, SUPPLIER_CHAT, ADMIN_CHAT };
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractItemsFromIncoming } = require("../lib/items");
+const { fixture } = require("./helpers");
+
+test("wc/v3 webhook: each line keeps its own sku, size, technique and quantity", () => {
+  const items = extractItemsFromIncoming(fixture("woo-order-created.json"));
+  assert.deepEqual(items, [
+    {
+      sku: "JER-ARG-H26",
+      name: "Argentina Home Jersey 2026 - L",
+      quantity: 2,
+      size: "l",
+      technique: "DTF Print",
+      line_total: 1598,
+      product_id: 1201,
+      variation_id: 1207
+    },
+    {
+      sku: "JER-BRA-A",
+      name: "Brazil Away Jersey",
+      quantity: 1,
+      size: "M",
+      technique: "",
+      line_total: 699,
+      product_id: 1300,
+      variation_id: null
+    }
+  ]);
+});
+
+test("legacy API body ({ order: { line_items[].meta } })", () => {
+  const items = extractItemsFromIncoming(fixture("woo-order-legacy.json"));
+  assert.deepEqual(items.map(i => [i.sku, i.size, i.technique, i.quantity, i.line_total]), [
+    ["JER-RMA", "XL", "Sublimation", 2, 999],
+    ["JER-BAR-K", "8-9Y", "", 1, 500]
+  ]);
+});
+
+test("stored orders row: the items JSON wins over line_items", () => {
+  const stored = extractItemsFromIncoming(fixture("woo-order-created.json"));
+  const row = { items: JSON.stringify(stored), line_items: [{ sku: "OTHER", quantity: 9 }] };
+  assert.deepEqual(extractItemsFromIncoming(row), stored);
+});
+
+test("unparseable items JSON falls back to line_items", () => {
+  const items = extractItemsFromIncoming({ items: "{not json", line_items: [{ sku: "JER-X", quantity: 3 }] });
+  assert.deepEqual(items.map(i => [i.sku, i.quantity]), [["JER-X", 3]]);
+});
+
+test("size from attributes, then from a 'Size: L' display string", () => {
+  const items = extractItemsFromIncoming({
+    line_items: [
+      { name: "Milan Third", sku: "JER-MIL-3", attributes: [{ name: "Size", option: "S" }, { name: "Technique", option: "Embroidery" }] },
+      { name: "India Home", sku: "JER-IND-H", display: "Colour: Blue, Size: XXL" }
+    ]
+  });
+  assert.deepEqual(items.map(i => [i.sku, i.size, i.technique]), [
+    ["JER-MIL-3", "S", "Embroidery"],
+    ["JER-IND-H", "XXL", ""]
+  ]);
+});
+
+test("missing or zero quantity counts as one; no items gives []", () => {
+  const [item] = extractItemsFromIncoming({ line_items: [{ sku: "JER-Y", quantity: 0 }] });
+  assert.equal(item.quantity, 1);
+  assert.equal(item.line_total, 0);
+  assert.deepEqual(extractItemsFromIncoming({}), []);
+  assert.deepEqual(extractItemsFromIncoming({ items: "[]", line_items: [] }), []);
+});
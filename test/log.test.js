@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger, redact } = require("../lib/log");
+
+test("customer names and nested customer objects are redacted", () => {
+  const row = { order_id: "4521", name: "Rahul Kumar", amount: 2397, customer: { id: 7, email: "rahul.kumar@example.com" } };
+  assert.deepEqual(redact({ order: row }), {
+    order: { order_id: "4521", name: "[redacted]", amount: 2397, customer: "[redacted]" }
+  });
+});
+
+test("log lines carry no names, phones or emails", () => {
+  const lines = [];
+  const log = createLogger({ write: (line) => lines.push(line) });
+  log.info("mark paid for 98765 43210", { orderId: "4521", order: { Name: "Rahul Kumar", phone: "+91 98765 43210" }, note: "mail rahul.kumar@example.com" });
+
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.msg, "mark paid for ***210");
+  assert.deepEqual(entry.order, { Name: "[redacted]", phone: "[redacted]" });
+  assert.equal(entry.note, "mail [email]");
+  assert.doesNotMatch(lines[0], /Rahul/);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, STAFF } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+// Rahul's six orders under three spellings of one number, newest first by created_at
+function seed() {
+  const phones = ["+91 98765 43210", "098765-43210", "9876543210"];
+  const rahul = ["51", "52", "53", "54", "55", "56"].map((id, i) => ({
+    order_id: id,
+    name: "Rahul Kumar",
+    phone: phones[i % 3],
+    email: "rahul.kumar@example.com",
+    amount: 1000 + i,
+    status: i < 2 ? "paid" : i === 2 ? "completed" : "pending_payment",
+    created_at: `2026-03-0${i + 1}T06:00:00.000Z`
+  }));
+  return {
+    tables: {
+      orders: [
+        ...rahul,
+        // same last four digits, another number
+        { order_id: "61", name: "Priya Shah", phone: "+91 91234 43210", email: "priya@example.com", amount: 799, status: "paid", created_at: "2026-03-08T06:00:00.000Z" }
+      ]
+    }
+  };
+}
+
+const buttons = (call) => call.opts.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+
+test("/find by phone matches every spelling of the number and pages by five", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/find 98765 43210", { from: STAFF });
+
+  const [first] = ctx.telegram.calls;
+  assert.match(first.text, /^🔎 "98765 43210" — 6 order\(s\) • page 1\/2\n\n1\. Rahul Kumar \(#56\) • pending_payment • ₹1005 • 06\/03\/2026\n/);
+  assert.doesNotMatch(first.text, /Priya/);
+  const [sid] = buttons(first).at(-1).split(":").slice(1);
+  assert.deepEqual(buttons(first), ["order_open:56", "order_open:55", "order_open:54", "order_open:53", "order_open:52", `find_page:${sid}:1`]);
+
+  await ctx.telegram.tap(`find_page:${sid}:1`, { from: STAFF });
+  const second = ctx.telegram.calls.find(c => c.method === "editMessageText");
+  assert.match(second.text, /page 2\/2\n\n6\. Rahul Kumar \(#51\) • paid/);
+  assert.deepEqual(buttons(second), ["order_open:51", `find_page:${sid}:0`]);
+
+  await ctx.telegram.tap("order_open:51", { from: STAFF });
+  assert.match(ctx.telegram.texts(500).at(-1), /51/);
+});
+
+test("/find by name or email; no match and too-short queries are answered", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/find priya", { from: STAFF });
+  await ctx.telegram.send("/find rahul.kumar@example", { from: STAFF });
+  await ctx.telegram.send("/find nobody", { from: STAFF });
+  await ctx.telegram.send("/find x", { from: STAFF });
+
+  const [byName, byEmail, none, usage] = ctx.telegram.texts(500);
+  assert.match(byName, /^🔎 "priya" — 1 order\(s\)\n\n1\. Priya Shah \(#61\)/);
+  assert.match(byEmail, /— 6 order\(s\) • page 1\/2/);
+  assert.equal(none, "🔎 No orders match \"nobody\".");
+  assert.equal(usage, "Usage: /find <phone|email|name>");
+});
+
+test("/customer sums paid and completed orders and links the last one", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/customer 09876543210", { from: STAFF });
+
+  const [summary] = ctx.telegram.calls;
+  assert.equal(summary.text, [
+    "👤 Rahul Kumar",
+    "📞 9876543210",
+    "✉️ rahul.kumar@example.com",
+    "",
+    "Orders: 6 (pending_payment 3, completed 1, paid 2)",
+    "Total spent: ₹3003 over 3 paid order(s)",
+    "First order: 01/03/2026",
+    "Last order: #56 • pending_payment • ₹1005 • 06/03/2026"
+  ].join("\n"));
+  assert.deepEqual(buttons(summary), ["order_open:56", "find_phone:9876543210"]);
+
+  await ctx.telegram.tap("find_phone:9876543210", { from: STAFF });
+  assert.match(ctx.telegram.texts(500).at(-1), /^🔎 "9876543210" — 6 order\(s\)/);
+});
+
+test("/customer totals read every page past PostgREST's max-rows", async () => {
+  ctx = setup({ ...seed(), maxRows: 2, env: { SUPABASE_MAX_ROWS: "2" } });
+  await ctx.telegram.send("/customer 9876543210", { from: STAFF });
+
+  const [summary] = ctx.telegram.texts(500);
+  assert.match(summary, /\nOrders: 6 \(pending_payment 3, completed 1, paid 2\)\nTotal spent: ₹3003 over 3 paid order\(s\)\nFirst order: 01\/03\/2026\n/);
+  const pages = ctx.supabase.requests.filter(r => r.table === "orders" && r.method === "GET");
+  assert.deepEqual(pages.map(r => Object.fromEntries(r.params).offset), ["0", "2", "4", "6"]);
+});
+
+test("/customer needs a full number and reports unknown ones", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/customer 43210", { from: STAFF });
+  await ctx.telegram.send("/customer 9000000000", { from: STAFF });
+  assert.deepEqual(ctx.telegram.texts(500), ["Usage: /customer <phone>", "🔎 No orders for 9000000000."]);
+});
@@ -0,0 +1,321 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractItemsFromIncoming } = require("../lib/items");
+const { setup, fixture, ADMIN, STAFF, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+// the row the webhook stores for woo-order-created.json
+function pendingOrder(overrides = {}) {
+  const items = extractItemsFromIncoming(fixture("woo-order-created.json"));
+  return {
+    order_id: "4521",
+    wc_order_id: 4521,
+    name: "Rahul Kumar",
+    phone: "+91 98765 43210",
+    amount: 2397,
+    product: items.map(i => i.name).join(" | "),
+    sku: items.map(i => i.sku).join(" | "),
+    sizes: "l, M",
+    technique: "DTF Print",
+    quantity: 3,
+    address: "12, MG Road, Near Big Temple, Ahmedabad",
+    state: "GJ",
+    pincode: "380001",
+    status: "pending_payment",
+    stock_state: "reserved",
+    created_at: "2026-03-09T10:00:00.000Z",
+    items: JSON.stringify(items),
+    ...overrides
+  };
+}
+
+test("/paid marks the order paid, adds one paid list row per item and notifies Woo and the supplier", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "paid");
+  assert.equal(order.paid_at, "2026-03-10T06:30:00.000Z");
+  assert.equal(JSON.parse(order.paid_undo).status, "pending_payment");
+  assert.equal(order.stock_state, "committed");
+
+  // 06:30 UTC is 12:00 in Asia/Kolkata
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => [r.day, r.line_no, r.sku, r.sizes, r.technique, r.quantity, r.line_total]), [
+    ["2026-03-10", 1, "JER-ARG-H26", "l", "DTF Print", 2, 1598],
+    ["2026-03-10", 2, "JER-BRA-A", "M", "", 1, 699]
+  ]);
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => [h.from_status, h.to_status, h.source]), [
+    ["pending_payment", "paid", "telegram"]
+  ]);
+  assert.deepEqual(ctx.woo.orders.get("4521"), { id: 4521, status: "processing" });
+
+  const [dispatch] = ctx.telegram.texts(SUPPLIER_CHAT);
+  assert.match(dispatch, /NEW PAID ORDER/);
+  assert.match(dispatch, /1\.JER-ARG-H26\n2\.JER-BRA-A/);
+  assert.match(dispatch, /size: L • Technique: DTF Print • Qty: 2/);
+  assert.match(dispatch, /Quantity: 3/);
+  assert.doesNotMatch(dispatch, /COD/);
+
+  const confirmation = ctx.telegram.calls.find(c => /marked paid/.test(c.text));
+  assert.equal(confirmation.chatId, "500");
+  assert.equal(confirmation.opts.reply_markup.inline_keyboard[0][0].callback_data, "paid_undo:4521");
+  assert.equal(ctx.outbox().length, 0);
+});
+
+test("an already paid order is refused unless forced", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder({ status: "paid", paid_at: "2026-03-10T04:00:00.000Z", stock_state: "committed" })] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+
+  assert.match(ctx.telegram.texts(500)[0], /already paid \(paid 10\/03\/2026 09:30\)/);
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 0);
+  assert.equal(ctx.woo.requests.length, 0);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 0);
+
+  await ctx.telegram.send("/paid 4521 force", { from: STAFF });
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 2);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 1);
+});
+
+test("a forced re-run replaces the order's paid list rows instead of adding a second set", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  await ctx.telegram.send("/supplier_summary", { from: STAFF });
+  await ctx.telegram.send("/paid 4521 force", { from: STAFF });
+  await ctx.telegram.send("/supplier_summary", { from: STAFF });
+
+  const sheets = ctx.telegram.texts(500).filter(t => t.startsWith("🧵 Production sheet"));
+  assert.equal(sheets.length, 2);
+  assert.match(sheets[0], /^🧵 Production sheet — 2026-03-10\n3 pcs • 1 orders\n/);
+  assert.equal(sheets[1], sheets[0]);
+  const live = ctx.supabase.rows("paid_order_items").filter(r => !r.deleted_at);
+  assert.deepEqual(live.map(r => r.sku), ["JER-ARG-H26", "JER-BRA-A"]);
+  assert.ok(ctx.supabase.rows("paid_order_items").filter(r => r.deleted_at).every(r => r.deleted_by === "paid force"));
+});
+
+test("a completed order is refused even when forced; Woo and its history are left alone", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder({ status: "completed", paid_at: "2026-03-09T12:00:00.000Z", stock_state: "committed" })] } });
+  await ctx.telegram.send("/paid 4521 force", { from: STAFF });
+
+  assert.deepEqual(ctx.telegram.texts(500), ["⚠️ Order 4521 is already completed (shipped).\nNothing was changed."]);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "completed");
+  assert.equal(ctx.supabase.rows("order_status_history").length, 0);
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 0);
+  assert.equal(ctx.woo.requests.length, 0);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 0);
+
+  await ctx.telegram.tap("order_paid:4521", { from: STAFF });
+  const [panel] = ctx.telegram.calls.filter(c => c.method === "editMessageText");
+  assert.match(panel.text, /Already completed \(shipped\); it cannot be marked paid again\.$/);
+  assert.ok(panel.opts.reply_markup.inline_keyboard.flat().every(b => !/order_paid_again_confirm/.test(b.callback_data)));
+});
+
+test("a second tap on the panel's confirm button does not process the order again", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.tap("order_paid:4521", { from: STAFF });
+  const [prompt] = ctx.telegram.calls.filter(c => c.method === "editMessageText");
+  assert.equal(prompt.opts.reply_markup.inline_keyboard[0][0].callback_data, "order_paid_confirm:4521");
+
+  await ctx.telegram.tap("order_paid_confirm:4521", { from: STAFF });
+  await ctx.telegram.tap("order_paid_confirm:4521", { from: STAFF });
+
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 2);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 1);
+  assert.ok(ctx.telegram.texts(500).some(t => /already paid[\s\S]*Nothing was changed/.test(t)));
+});
+
+test("a stale confirm after /paid is refused; the already-paid prompt may force", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.tap("order_paid:4521", { from: STAFF });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  await ctx.telegram.tap("order_paid_confirm:4521", { from: STAFF });
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 2);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 1);
+
+  ctx.telegram.clear();
+  await ctx.telegram.tap("order_paid:4521", { from: STAFF });
+  const prompt = ctx.telegram.calls.find(c => c.method === "editMessageText");
+  assert.match(prompt.text, /already paid; confirming processes it again/);
+  assert.equal(prompt.opts.reply_markup.inline_keyboard[0][0].callback_data, "order_paid_again_confirm:4521");
+  await ctx.telegram.tap("order_paid_again_confirm:4521", { from: STAFF });
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 4);
+});
+
+test("two /paid runs racing on one order process it once", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await Promise.all([ctx.telegram.send("/paid 4521", { from: STAFF }), ctx.telegram.send("/paid 4521", { from: STAFF })]);
+
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 2);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 1);
+  assert.equal(ctx.supabase.rows("order_status_history").length, 1);
+  assert.ok(ctx.telegram.texts(500).includes("⚠️ Order 4521 was marked paid meanwhile.\nNothing was changed. Use /paid 4521 force to process it again."));
+});
+
+test("unknown orders are reported, nothing is written", async () => {
+  ctx = setup();
+  await ctx.telegram.send("/paid 999", { from: STAFF });
+  assert.deepEqual(ctx.telegram.texts(500), ["❌ Order 999 not found in Supabase."]);
+  assert.equal(ctx.woo.requests.length, 0);
+});
+
+test("orders stored before the items column get rows from the joined columns", async () => {
+  const legacy = pendingOrder({ items: null, sizes: "L, M", technique: "DTF Print" });
+  ctx = setup({ tables: { orders: [legacy] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => [r.sku, r.sizes, r.technique]), [
+    ["JER-ARG-H26", "L", "DTF Print"],
+    ["JER-BRA-A", "M", "DTF Print"]
+  ]);
+});
+
+test("a Woo outage queues the status update and still marks the order paid", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  ctx.woo.fail({ status: 503 });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+
+  assert.equal(ctx.supabase.rows("orders")[0].status, "paid");
+  const [job] = ctx.outbox();
+  assert.deepEqual([job.kind, job.method, job.path, job.body], ["woo", "PUT", "orders/4521", { status: "processing" }]);
+  assert.match(ctx.telegram.texts(500).at(-1), /Queued for retry: WooCommerce/);
+
+  ctx.clock.advance(60 * 60 * 1000);
+  await ctx.processOutbox();
+  assert.equal(ctx.outbox().length, 0);
+  assert.equal(ctx.woo.orders.get("4521").status, "processing");
+});
+
+test("a queued Woo status is replaced by a later one, so /paid then /unpaid during an outage ends pending", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  ctx.woo.fail({ status: 503, times: 2 });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  await ctx.telegram.send("/unpaid 4521", { from: STAFF });
+
+  assert.deepEqual(ctx.outbox().map(j => [j.path, j.body]), [["orders/4521", { status: "pending" }]]);
+  ctx.clock.advance(60 * 60 * 1000);
+  await ctx.processOutbox();
+  assert.equal(ctx.outbox().length, 0);
+  assert.equal(ctx.woo.orders.get("4521").status, "pending");
+  assert.equal(ctx.supabase.rows("orders")[0].status, "pending_payment");
+});
+
+test("a newer Woo status that goes through drops the older queued one", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  ctx.woo.fail({ status: 503 });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  await ctx.telegram.send("/unpaid 4521", { from: STAFF });
+
+  assert.equal(ctx.outbox().length, 0);
+  ctx.clock.advance(60 * 60 * 1000);
+  await ctx.processOutbox();
+  assert.equal(ctx.woo.orders.get("4521").status, "pending");
+});
+
+test("a failed paid list insert is queued as a typed db call and replayed through it", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  ctx.supabase.fail({ table: "paid_order_items", method: "POST" });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 0);
+  const [job] = ctx.outbox();
+  assert.deepEqual([job.kind, job.call, job.args[0].map(r => r.sku)], ["db", "paidItems.insert", ["JER-ARG-H26", "JER-BRA-A"]]);
+
+  ctx.clock.advance(60 * 60 * 1000);
+  await ctx.processOutbox();
+  assert.equal(ctx.outbox().length, 0);
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => r.sku), ["JER-ARG-H26", "JER-BRA-A"]);
+});
+
+test("/unpaid puts the order back and removes its paid list rows", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  await ctx.telegram.send("/unpaid 4521", { from: STAFF });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "pending_payment");
+  assert.equal(order.paid_at, null);
+  assert.equal(order.paid_undo, null);
+  assert.ok(ctx.supabase.rows("paid_order_items").every(r => r.deleted_at === "2026-03-10T06:30:00.000Z" && r.deleted_by === "@user2"));
+});
+
+test("/unpaid on a shipped order points to a Woo refund, not a command that does not exist", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder({ status: "completed" })] } });
+  await ctx.telegram.send("/unpaid 4521", { from: STAFF });
+  assert.deepEqual(ctx.telegram.texts(500), [
+    "⚠️ Order 4521 is already shipped (completed); it can't be un-paid or cancelled. Refund it in WooCommerce if the customer returns it."
+  ]);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "completed");
+});
+
+test("the supplier cannot mark orders paid", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.send("/paid 4521", { from: 77, chat: SUPPLIER_CHAT });
+  assert.deepEqual(ctx.telegram.texts(SUPPLIER_CHAT), ["⛔ You are not allowed to use this command."]);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "pending_payment");
+});
+
+test("COD orders tell the supplier how much to collect", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder({ payment_method: "cod", payment_method_title: "Cash on delivery", shipment_mode: "COD" })] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+
+  const [dispatch] = ctx.telegram.texts(SUPPLIER_CHAT);
+  assert.match(dispatch, /Shipment Mode: COD\nCOD – collect ₹2397$/);
+});
+
+test("the /order panel shows payment, discount, coupons and the customer note", async () => {
+  ctx = setup({
+    tables: {
+      orders: [pendingOrder({
+        payment_method: "cod",
+        payment_method_title: "Cash on delivery",
+        shipping_total: 100,
+        discount_total: 240,
+        coupon_codes: "welcome10",
+        customer_note: "Please call before delivery"
+      })]
+    }
+  });
+  await ctx.telegram.send("/order 4521", { from: STAFF });
+
+  const [panel] = ctx.telegram.texts(500);
+  assert.match(panel, /Payment: Cash on delivery\nCOD – collect ₹2397\nShipping: ₹100\nDiscount: ₹240\nCoupon: welcome10\nCustomer note: Please call before delivery/);
+});
+
+test("cancelling a paid order from the panel takes it off the paid list and tells the supplier", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder()] } });
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  ctx.telegram.clear();
+
+  await ctx.telegram.tap("order_cancel:4521", { from: ADMIN });
+  await ctx.telegram.tap("order_cancel_confirm:4521", { from: ADMIN });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "cancelled");
+  assert.equal(order.stock_state, "released");
+  assert.ok(ctx.supabase.rows("paid_order_items").every(r => r.deleted_at && r.deleted_by === "@user1"));
+  assert.equal(ctx.woo.orders.get("4521").status, "cancelled");
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => [h.to_status, h.note]).at(-1), ["cancelled", "cancelled by @user1"]);
+
+  const [notice] = ctx.telegram.texts(SUPPLIER_CHAT);
+  assert.match(notice, /^❌ CANCEL previous dispatch\n\nOrder: 4521/);
+  assert.match(notice, /\nThis order was cancelled\. Please do NOT print or ship it\.$/);
+  assert.match(ctx.telegram.texts(500).at(-1), /❌ Order cancelled\.\nRemoved from the paid list; supplier told to cancel the dispatch\.$/);
+
+  await ctx.telegram.send("/today", { from: STAFF });
+  assert.match(ctx.telegram.texts(500).at(-1), /No paid orders for today yet/);
+});
+
+test("a shipped order cannot be cancelled", async () => {
+  ctx = setup({ tables: { orders: [pendingOrder({ status: "completed", stock_state: "committed" })] } });
+  await ctx.telegram.tap("order_cancel:4521", { from: ADMIN });
+  await ctx.telegram.tap("order_cancel_confirm:4521", { from: ADMIN });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "completed");
+  assert.equal(order.stock_state, "committed");
+  assert.equal(ctx.woo.requests.length, 0);
+  assert.equal(ctx.supabase.rows("order_status_history").length, 0);
+  const edits = ctx.telegram.calls.filter(c => c.method === "editMessageText").map(c => c.text);
+  assert.match(edits[0], /Already shipped \(completed\); it can't be cancelled\.$/);
+  assert.match(edits[1], /⚠️ Order 4521 is already shipped \(completed\); it can't be cancelled\.$/);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, paidItem, STAFF } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+// clock starts at 2026-03-10 12:00 IST (a Tuesday)
+function seed() {
+  return {
+    tables: {
+      paid_order_items: [
+        paidItem(1, "21", "2026-03-09"),
+        paidItem(2, "21", "2026-03-09", { line_no: 2 }),
+        paidItem(3, "22", "2026-03-09"),
+        paidItem(4, "23", "2026-03-09", { deleted_at: "2026-03-09T09:00:00.000Z" }),
+        paidItem(5, "31", "2026-03-10")
+      ]
+    }
+  };
+}
+
+const callbacks = (call) => call.opts.reply_markup.inline_keyboard.map(row => row.map(b => b.callback_data));
+
+test("/paidorders opens a picker of D-3..D+3 around today with week jumps", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/paidorders", { from: STAFF });
+
+  const [picker] = ctx.telegram.calls;
+  assert.equal(picker.text, "📅 Choose a date:");
+  assert.deepEqual(callbacks(picker), [
+    ["paid_day:2026-03-07", "paid_day:2026-03-08", "paid_day:2026-03-09", "paid_day:2026-03-10"],
+    ["paid_day:2026-03-11", "paid_day:2026-03-12", "paid_day:2026-03-13"],
+    ["paid_pick:2026-03-03", "paid_pick:2026-03-17"]
+  ]);
+  assert.deepEqual(picker.opts.reply_markup.inline_keyboard[0].map(b => b.text), ["Sat 07", "Sun 08", "Mon 09", "Today"]);
+});
+
+test("picking a day lists each live order once and pages to the neighbouring days", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.tap("paid_day:2026-03-09", { from: STAFF });
+
+  const [day] = ctx.telegram.calls.filter(c => c.method === "editMessageText");
+  assert.equal(day.text, "2026-03-09 orders 🌼\n\n1. Customer 21 (21) 📦  # 09/03/2026\n2. Customer 22 (22) 📦  # 09/03/2026");
+  assert.deepEqual(callbacks(day), [["paid_day:2026-03-08", "paid_pick:2026-03-09", "paid_day:2026-03-10"]]);
+
+  ctx.telegram.clear();
+  await ctx.telegram.tap("paid_day:2026-03-08", { from: STAFF });
+  assert.match(ctx.telegram.texts(500)[0], /^2026-03-08 orders 🌼\n\nNo paid orders on this day\.$/);
+
+  ctx.telegram.clear();
+  await ctx.telegram.tap("paid_pick:2026-03-09", { from: STAFF });
+  assert.equal(callbacks(ctx.telegram.calls.find(c => c.method === "editMessageText"))[0][0], "paid_day:2026-03-06");
+});
+
+test("/paidorders <date> sends that day directly; a bad date gets the usage", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.send("/paidorders 2026-03-10", { from: STAFF });
+  await ctx.telegram.send("/paidorders tuesday", { from: STAFF });
+
+  const [day, usage] = ctx.telegram.texts(500);
+  assert.match(day, /^2026-03-10 orders 🌼\n\n1\. Customer 31 \(31\)/);
+  assert.equal(usage, "Usage: /paidorders [yyyy-mm-dd]");
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, STAFF, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+function pending(orderId, amount, extra = {}) {
+  return {
+    order_id: orderId,
+    wc_order_id: Number(orderId),
+    name: `Customer ${orderId}`,
+    phone: `98765000${orderId}`,
+    amount,
+    status: "pending_payment",
+    created_at: "2026-03-09T05:00:00.000Z",
+    items: JSON.stringify([{ sku: `JER-${orderId}`, name: `Jersey ${orderId}`, quantity: 1, size: "M" }]),
+    ...extra
+  };
+}
+
+function seed() {
+  return {
+    tables: {
+      orders: [
+        pending("71", 999),
+        pending("72", 1499),
+        pending("73", 799),
+        pending("74", 799),
+        pending("75", 2000, { payment_method: "cod" }),
+        pending("76", 650, { phone: "+91 91234 00076" }),
+        pending("77", 999, { status: "paid" })
+      ]
+    }
+  };
+}
+
+// times are IST (the statement's own zone); orders were created 09/03 10:30 IST
+const STATEMENT = [
+  "Account statement,,,,",
+  "Txn Date,Description,Debit,Credit,Balance",
+  "09/03/2026 11:00,UPI/71/Rahul,,999.00,10000",
+  "09/03/2026 14:00,NEFT RANDOM,,\"1,499.00\",11499",
+  "09/03/2026 15:00,UPI/VPA 9123400076@ybl,,650,12149",
+  "09/03/2026 16:00,UPI,,799,12948",
+  "09/03/2026 17:00,UPI,,555,13503",
+  "09/03/2026 18:00,UPI,,2000,15503",
+  "09/03/2026 19:00,ATM,500,,15003"
+].join("\r\n");
+
+test("credits match by order id, amount and time, or phone; the rest is ambiguous or unmatched", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.upload("statement.csv", STATEMENT, { from: STAFF });
+
+  const [view, leftovers] = ctx.telegram.calls;
+  assert.equal(view.text, [
+    "🏦 Statement: 6 credit(s)",
+    "",
+    "✅ Proposed matches (3):",
+    "1. ₹999 • 09/03 11:00 • UPI/71/Rahul",
+    "    → #71 Customer 71 (order id + amount)",
+    "2. ₹1499 • 09/03 14:00 • NEFT RANDOM",
+    "    → #72 Customer 72 (amount + time)",
+    "3. ₹650 • 09/03 15:00 • UPI/VPA 9123400076@ybl",
+    "    → #76 Customer 76 (phone + amount)",
+    "",
+    "❓ Ambiguous: 1 • 🚫 Unmatched: 2"
+  ].join("\n"));
+  const sid = view.opts.reply_markup.inline_keyboard[0][0].callback_data.split(":")[1];
+  assert.deepEqual(view.opts.reply_markup.inline_keyboard.map(r => r[0].callback_data), [
+    `recon_pick:${sid}:0`, `recon_pick:${sid}:1`, `recon_pick:${sid}:2`, `recon_all:${sid}`
+  ]);
+
+  // COD orders are never paid into the account
+  assert.equal(leftovers.text, [
+    "❓ Ambiguous (1) — check and /paid manually:",
+    "• ₹799 • 09/03 16:00 • UPI",
+    "   several orders with this amount: #73, #74",
+    "",
+    "🚫 Unmatched credits (2):",
+    "• ₹555 • 09/03 17:00 • UPI (row 7)",
+    "• ₹2000 • 09/03 18:00 • UPI (row 8)",
+    ""
+  ].join("\n"));
+  assert.ok(ctx.supabase.rows("orders").every(o => o.order_id === "77" || o.status === "pending_payment"));
+});
+
+test("a remark naming an order with another amount, or one order claimed twice, is left to a human", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.upload("statement.csv", [
+    "Date,Narration,Amount,Type",
+    "2026-03-09 12:00,UPI 71,500,CR",
+    "2026-03-09 13:00,UPI,1499,CR",
+    "2026-03-09 13:30,UPI,1499,CR",
+    "2026-03-09 14:00,REFUND,1499,DR"
+  ].join("\n"), { from: STAFF });
+
+  const [view, leftovers] = ctx.telegram.texts(500);
+  assert.match(view, /^🏦 Statement: 3 credit\(s\)\n\n✅ Proposed matches \(0\):\nnone\n/);
+  assert.match(leftovers, /remark names an order but the amount differs: #71\n/);
+  assert.equal(leftovers.match(/several credits match this order: #72/g).length, 2);
+});
+
+test("confirming one match and then the rest marks each order paid once", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.upload("statement.csv", STATEMENT, { from: STAFF });
+  const sid = ctx.telegram.calls[0].opts.reply_markup.inline_keyboard[0][0].callback_data.split(":")[1];
+
+  await ctx.telegram.tap(`recon_pick:${sid}:1`, { from: STAFF });
+  await ctx.telegram.tap(`recon_all:${sid}`, { from: STAFF });
+
+  const byId = Object.fromEntries(ctx.supabase.rows("orders").map(o => [o.order_id, o.status]));
+  assert.deepEqual([byId["71"], byId["72"], byId["76"], byId["73"], byId["75"]], ["paid", "paid", "paid", "pending_payment", "pending_payment"]);
+  assert.deepEqual(ctx.supabase.rows("paid_order_items").map(r => r.order_id), ["72", "71", "76"]);
+  assert.equal(ctx.telegram.texts(SUPPLIER_CHAT).length, 3);
+  assert.match(ctx.supabase.rows("order_status_history")[0].note, /^reconciled: ₹1499 2026-03-09T14:00:00\.000\+05:30 NEFT RANDOM$/);
+
+  const [view] = ctx.telegram.calls.filter(c => c.method === "editMessageText").slice(-1);
+  assert.match(view.text, /→ #71 Customer 71 \(order id \+ amount\) ✔️ paid/);
+  assert.deepEqual(view.opts.reply_markup.inline_keyboard, []);
+});
+
+test("a file without a header row is refused; other documents are ignored", async () => {
+  ctx = setup(seed());
+  await ctx.telegram.upload("notes.csv", "hello,world\n1,2", { from: STAFF });
+  await ctx.telegram.upload("photo.jpg", "not a statement", { from: STAFF, mimeType: "image/jpeg" });
+  assert.deepEqual(ctx.telegram.texts(500), ["⚠️ Couldn't find a header row with a date and a credit/amount column."]);
+});
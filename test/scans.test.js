@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, STAFF, ADMIN_CHAT, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function pending(orderId, createdAt, extra = {}) {
+  return { order_id: orderId, name: `Customer ${orderId}`, amount: 999, status: "pending_payment", created_at: createdAt, ...extra };
+}
+
+test("unpaid orders get the latest due reminder; COD orders are left alone", async () => {
+  ctx = setup({
+    tables: {
+      orders: [
+        pending("21", "2026-03-09T05:00:00.000Z"),
+        pending("22", "2026-03-09T05:00:00.000Z", { payment_method: "cod" }),
+        pending("23", "2026-03-07T05:00:00.000Z", { reminder_24_sent: true })
+      ]
+    }
+  });
+  await ctx.runOrderScans();
+
+  const byId = Object.fromEntries(ctx.supabase.rows("orders").map(o => [o.order_id, o]));
+  assert.equal(byId["21"].next_message, "reminder_24");
+  assert.equal(byId["22"].next_message, undefined);
+  assert.equal(byId["22"].reminder_24_sent, undefined);
+  assert.equal(byId["23"].next_message, "reminder_72");
+});
+
+test("orders past ORDER_EXPIRY_DAYS expire, except COD orders", async () => {
+  ctx = setup({
+    env: { ORDER_EXPIRY_DAYS: "5" },
+    tables: {
+      orders: [
+        pending("31", "2026-03-01T05:00:00.000Z", { wc_order_id: 31 }),
+        pending("32", "2026-03-01T05:00:00.000Z", { payment_method: "cod" })
+      ]
+    }
+  });
+  await ctx.runOrderScans();
+
+  const byId = Object.fromEntries(ctx.supabase.rows("orders").map(o => [o.order_id, o]));
+  assert.equal(byId["31"].status, "expired");
+  assert.equal(ctx.woo.orders.get("31").status, "cancelled");
+  assert.equal(byId["32"].status, "pending_payment");
+  assert.equal(byId["32"].next_message, undefined);
+
+  ctx.clock.advance(10 * DAY);
+  await ctx.runOrderScans();
+  assert.equal(ctx.supabase.rows("orders").find(o => o.order_id === "32").status, "pending_payment");
+});
+
+test("the scans read every page of pending orders past PostgREST's max-rows", async () => {
+  const orders = ["41", "42", "43", "44", "45"].map(id => pending(id, "2026-03-09T05:00:00.000Z"));
+  ctx = setup({ tables: { orders }, maxRows: 2, env: { SUPABASE_MAX_ROWS: "2" } });
+  await ctx.runOrderScans();
+
+  assert.deepEqual(ctx.supabase.rows("orders").map(o => o.next_message), Array(5).fill("reminder_24"));
+});
+
+test("an expired order is revived from the digest button and expires again only after another ORDER_EXPIRY_DAYS", async () => {
+  ctx = setup({
+    env: { ORDER_EXPIRY_DAYS: "5" },
+    tables: {
+      orders: [pending("51", "2026-03-01T05:00:00.000Z", {
+        wc_order_id: 51,
+        stock_state: "reserved",
+        items: JSON.stringify([{ sku: "JER-51", name: "Jersey 51", quantity: 1, size: "M" }])
+      })],
+      stock: [{ sku: "JER-51", size: "M", on_hand: 4, reserved: 1 }]
+    }
+  });
+  await ctx.runOrderScans();
+  assert.equal(ctx.supabase.rows("stock")[0].reserved, 0);
+
+  const digest = ctx.telegram.calls.find(c => c.chatId === String(ADMIN_CHAT));
+  assert.match(digest.text, /^⌛ Expired unpaid orders \(1-1 of 1\)/);
+  assert.equal(digest.opts.reply_markup.inline_keyboard[0][0].callback_data, "order_revive:51");
+
+  ctx.telegram.clear();
+  await ctx.telegram.tap("order_revive:51", { from: STAFF, chat: ADMIN_CHAT });
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "pending_payment");
+  assert.equal(order.expired_at, null);
+  assert.equal(order.revived_at, "2026-03-10T06:30:00.000Z");
+  assert.equal(ctx.supabase.rows("stock")[0].reserved, 1);
+  assert.equal(ctx.woo.orders.get("51").status, "pending");
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => [h.from_status, h.to_status, h.note]).at(-1), [
+    "expired", "pending_payment", "revived by @user2"
+  ]);
+  assert.match(ctx.telegram.texts(ADMIN_CHAT)[0], /^♻️ Order 51 revived\.\nStatus → pending_payment \(expires again in 5 days\)\nWooCommerce → pending \(done\)$/);
+
+  // a second tap finds nothing to revive
+  await ctx.telegram.tap("order_revive:51", { from: STAFF, chat: ADMIN_CHAT });
+  assert.equal(ctx.telegram.texts(ADMIN_CHAT).at(-1), "⚠️ Order 51 is pending_payment, not expired. Nothing to revive.");
+
+  // timed from the revive, not from created_at
+  ctx.clock.advance(4 * DAY);
+  await ctx.runOrderScans();
+  assert.equal(ctx.supabase.rows("orders")[0].status, "pending_payment");
+  ctx.clock.advance(DAY);
+  await ctx.runOrderScans();
+  assert.equal(ctx.supabase.rows("orders")[0].status, "expired");
+});
+
+test("/revive refuses unknown orders and the supplier", async () => {
+  ctx = setup({ tables: { orders: [pending("52", "2026-03-01T05:00:00.000Z", { status: "expired" })] } });
+  await ctx.telegram.send("/revive 99", { from: STAFF });
+  await ctx.telegram.send("/revive 52", { from: 77, chat: SUPPLIER_CHAT });
+
+  assert.deepEqual(ctx.telegram.texts(500), ["❌ Order 99 not found."]);
+  assert.deepEqual(ctx.telegram.texts(SUPPLIER_CHAT), ["⛔ You are not allowed to use this command."]);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "expired");
+});
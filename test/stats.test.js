@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, STAFF } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+// five orders this month, two of them paid
+function orders() {
+  return ["1", "2", "3", "4", "5"].map((id, i) => ({
+    order_id: `130${id}`,
+    name: `Customer ${id}`,
+    amount: 1000,
+    status: i < 2 ? "paid" : "pending_payment",
+    paid_at: i < 2 ? `2026-03-0${i + 2}T08:00:00.000Z` : null,
+    created_at: `2026-03-0${i + 2}T06:00:00.000Z`,
+    items: JSON.stringify([{ sku: `JER-${id}`, name: `Jersey ${id}`, quantity: 1, size: "M" }])
+  }));
+}
+
+test("/stats reads every page when the range is longer than PostgREST's max-rows", async () => {
+  ctx = setup({ tables: { orders: orders() }, maxRows: 2, env: { SUPABASE_MAX_ROWS: "2" } });
+  await ctx.telegram.send("/stats month", { from: STAFF });
+
+  const [report] = ctx.telegram.texts(500);
+  assert.match(report, /Orders received: 5\nOrders paid: 2\n/);
+  assert.match(report, /Revenue: ₹2,000/);
+  const pages = ctx.supabase.requests.filter(r => r.table === "orders" && r.method === "GET");
+  assert.deepEqual(pages.map(r => Object.fromEntries(r.params).offset), ["0", "2", "4"]);
+});
+
+test("/export_today exports every order of a long range", async () => {
+  ctx = setup({ tables: { orders: orders() }, maxRows: 2, env: { SUPABASE_MAX_ROWS: "2" } });
+  await ctx.telegram.send("/export_today 2026-03-01 2026-03-10", { from: STAFF });
+
+  const [doc] = ctx.telegram.calls.filter(c => c.method === "sendDocument");
+  assert.match(doc.opts.caption, /^📊 5 orders \/ 5 items/);
+});
+
+test("/stats chart comes as a PNG photo", async () => {
+  ctx = setup({ tables: { orders: orders() } });
+  await ctx.telegram.send("/stats 2026-03-02 2026-03-08 chart", { from: STAFF });
+
+  const [photo] = ctx.telegram.calls.filter(c => c.method === "sendPhoto");
+  assert.equal(photo.chatId, "500");
+  assert.equal(photo.opts.filename, "stats_2026-03-02_2026-03-08.png");
+  assert.equal(photo.opts.photo.subarray(1, 4).toString(), "PNG");
+  assert.equal(ctx.telegram.calls.filter(c => c.method === "sendDocument").length, 0);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, ADMIN, STAFF } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+const GROUP = -1001;
+
+function paidOrder() {
+  return { order_id: "4521", wc_order_id: 4521, name: "Rahul Kumar", phone: "+91 98765 43210", amount: 2397, status: "paid", created_at: "2026-03-09T10:00:00.000Z" };
+}
+
+test("the guided tracking prompt only takes the reply of the member who tapped Track", async () => {
+  ctx = setup({ tables: { orders: [paidOrder()] } });
+  await ctx.telegram.tap("order_track:4521", { from: STAFF, chat: GROUP });
+  assert.match(ctx.telegram.texts(GROUP)[0], /^📦 Tracking for order 4521/);
+
+  // another member talking in the group is not the reply
+  await ctx.telegram.send("9876543210 EK000000000IN", { from: ADMIN, chat: GROUP });
+  assert.equal(ctx.supabase.rows("orders")[0].tracking_number, undefined);
+
+  await ctx.telegram.send("9876543210 EK123456789IN", { from: STAFF, chat: GROUP });
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.tracking_number, "EK123456789IN");
+  assert.equal(order.status, "completed");
+  assert.match(ctx.telegram.texts(GROUP).at(-1), /^📦 Tracking set:/);
+});
+
+test("/cancel_track only drops the sender's own prompt", async () => {
+  ctx = setup({ tables: { orders: [paidOrder()] } });
+  await ctx.telegram.tap("order_track:4521", { from: STAFF, chat: GROUP });
+  await ctx.telegram.send("/cancel_track", { from: ADMIN, chat: GROUP });
+  await ctx.telegram.send("9876543210 EK123456789IN", { from: STAFF, chat: GROUP });
+
+  assert.equal(ctx.supabase.rows("orders")[0].tracking_number, "EK123456789IN");
+});
@@ -0,0 +1,242 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { setup, fixture, postWebhook, STAFF, SUPPLIER_CHAT } = require("./helpers");
+
+let ctx;
+test.afterEach(() => ctx?.cleanup());
+
+const DELIVERY = { "X-WC-Webhook-Topic": "order.created", "X-WC-Webhook-Delivery-ID": "d-1" };
+
+test("a new order is upserted with customer, items and aggregated columns", async () => {
+  ctx = setup({ tables: { stock: [{ sku: "JER-ARG-H26", size: "L", on_hand: 5, reserved: 0 }] } });
+  const res = await postWebhook(ctx.app, fixture("woo-order-created.json"), DELIVERY);
+  assert.deepEqual(res, { status: 200, text: "OK" });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.order_id, "4521");
+  assert.equal(order.wc_order_id, 4521);
+  assert.equal(order.name, "Rahul Kumar");
+  assert.equal(order.phone, "+91 98765 43210");
+  assert.equal(order.email, "rahul.kumar@example.com");
+  assert.equal(order.amount, 2397);
+  assert.equal(order.product, "Argentina Home Jersey 2026 - L | Brazil Away Jersey");
+  assert.equal(order.sku, "JER-ARG-H26 | JER-BRA-A");
+  assert.equal(order.sizes, "l, M");
+  assert.equal(order.technique, "DTF Print");
+  assert.equal(order.quantity, 3);
+  assert.equal(order.address, "12, MG Road, Near Big Temple, Ahmedabad");
+  assert.equal(order.state, "GJ");
+  assert.equal(order.pincode, "380001");
+  assert.equal(order.status, "pending_payment");
+  assert.equal(order.created_at, "2026-03-10T06:30:00.000Z");
+  assert.deepEqual(JSON.parse(order.items).map(i => [i.sku, i.size, i.quantity]), [
+    ["JER-ARG-H26", "l", 2],
+    ["JER-BRA-A", "M", 1]
+  ]);
+
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => [h.from_status, h.to_status, h.source]), [
+    [null, "pending_payment", "woocommerce"]
+  ]);
+  assert.equal(ctx.supabase.rows("webhook_deliveries")[0].delivery_id, "d-1");
+  // units held for the pending order
+  assert.equal(order.stock_state, "reserved");
+  assert.equal(ctx.supabase.rows("stock")[0].reserved, 2);
+});
+
+test("a redelivered delivery id is ignored", async () => {
+  ctx = setup();
+  const body = fixture("woo-order-created.json");
+  await postWebhook(ctx.app, body, DELIVERY);
+  const writes = ctx.supabase.requests.filter(r => r.table === "orders" && r.method === "POST").length;
+
+  const res = await postWebhook(ctx.app, { ...body, status: "processing" }, DELIVERY);
+  assert.deepEqual(res, { status: 200, text: "DUPLICATE" });
+  assert.equal(ctx.supabase.requests.filter(r => r.table === "orders" && r.method === "POST").length, writes);
+  assert.equal(ctx.supabase.rows("orders")[0].status, "pending_payment");
+});
+
+test("a late pending webhook does not move a paid order back", async () => {
+  ctx = setup({
+    tables: {
+      orders: [{ order_id: "4521", status: "paid", paid_at: "2026-03-10T05:00:00.000Z", created_at: "2026-03-09T10:00:00.000Z", stock_state: "committed" }]
+    }
+  });
+  const res = await postWebhook(ctx.app, fixture("woo-order-created.json"), DELIVERY);
+  assert.equal(res.text, "OK");
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "paid");
+  assert.equal(order.paid_at, "2026-03-10T05:00:00.000Z");
+  assert.equal(order.created_at, "2026-03-09T10:00:00.000Z");
+  assert.equal(order.name, "Rahul Kumar");
+  assert.equal(ctx.supabase.rows("order_status_history").length, 0);
+});
+
+test("processing from Woo marks the order paid", async () => {
+  ctx = setup();
+  await postWebhook(ctx.app, { ...fixture("woo-order-created.json"), status: "processing" }, DELIVERY);
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "paid");
+  assert.equal(order.paid_at, "2026-03-10T06:30:00.000Z");
+});
+
+test("an order the gateway already paid commits its units; a pending one paid later moves them from reserved", async () => {
+  ctx = setup({ tables: { stock: [{ sku: "JER-ARG-H26", size: "L", on_hand: 5, reserved: 0 }] } });
+  await postWebhook(ctx.app, { ...fixture("woo-order-created.json"), status: "processing" }, DELIVERY);
+  assert.equal(ctx.supabase.rows("orders")[0].stock_state, "committed");
+  assert.deepEqual(ctx.supabase.rows("stock").map(s => [s.on_hand, s.reserved]), [[3, 0]]);
+
+  // a second order: reserved while pending, committed when the gateway confirms it
+  const second = { ...fixture("woo-order-created.json"), id: 4522 };
+  await postWebhook(ctx.app, second, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-2" });
+  assert.deepEqual(ctx.supabase.rows("stock").map(s => [s.on_hand, s.reserved]), [[3, 2]]);
+  await postWebhook(ctx.app, { ...second, status: "processing" }, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-3" });
+  await postWebhook(ctx.app, { ...second, status: "processing" }, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-4" });
+  assert.equal(ctx.supabase.rows("orders")[1].stock_state, "committed");
+  assert.deepEqual(ctx.supabase.rows("stock").map(s => [s.on_hand, s.reserved]), [[1, 0]]);
+});
+
+test("a COD order created in processing waits unpaid for /paid, which dispatches it", async () => {
+  ctx = setup();
+  const cod = { ...fixture("woo-order-created.json"), status: "processing", payment_method: "cod", payment_method_title: "Cash on delivery" };
+  await postWebhook(ctx.app, cod, DELIVERY);
+
+  let [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "pending_payment");
+  assert.equal(order.paid_at, undefined);
+  assert.equal(order.shipment_mode, "COD");
+  assert.deepEqual(ctx.supabase.rows("order_status_history").map(h => [h.from_status, h.to_status, h.note]), [
+    [null, "pending_payment", "woo:processing"]
+  ]);
+
+  // Woo's redelivery of the same status changes nothing
+  await postWebhook(ctx.app, cod, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-2" });
+  assert.equal(ctx.supabase.rows("order_status_history").length, 1);
+
+  await ctx.telegram.send("/paid 4521", { from: STAFF });
+  [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "paid");
+  assert.equal(ctx.supabase.rows("paid_order_items").length, 2);
+  assert.match(ctx.telegram.texts(SUPPLIER_CHAT)[0], /COD – collect ₹2397/);
+});
+
+test("legacy { order: ... } bodies are accepted", async () => {
+  ctx = setup();
+  await postWebhook(ctx.app, fixture("woo-order-legacy.json"), DELIVERY);
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.order_id, "3188");
+  assert.equal(order.name, "Priya Shah");
+  assert.equal(order.sizes, "XL, 8-9Y");
+  assert.equal(order.quantity, 3);
+});
+
+test("signatures are checked when WC_WEBHOOK_SECRET is set", async () => {
+  const secret = "whsec_test";
+  ctx = setup({ env: { WC_WEBHOOK_SECRET: secret } });
+  const raw = JSON.stringify(fixture("woo-order-created.json"));
+
+  const bad = await postWebhook(ctx.app, raw, { ...DELIVERY, "X-WC-Webhook-Signature": "bm9wZQ==" });
+  assert.deepEqual(bad, { status: 401, text: "BAD SIGNATURE" });
+  assert.equal(ctx.supabase.rows("orders").length, 0);
+
+  const signature = crypto.createHmac("sha256", secret).update(raw).digest("base64");
+  const good = await postWebhook(ctx.app, raw, { ...DELIVERY, "X-WC-Webhook-Signature": signature });
+  assert.deepEqual(good, { status: 200, text: "OK" });
+  assert.equal(ctx.supabase.rows("orders").length, 1);
+});
+
+test("without a webhook secret order deliveries are refused unless explicitly allowed", async () => {
+  ctx = setup({ env: { WC_WEBHOOK_ALLOW_UNSIGNED: "" } });
+  const res = await postWebhook(ctx.app, fixture("woo-order-created.json"), DELIVERY);
+  assert.deepEqual(res, { status: 503, text: "WEBHOOK SECRET NOT CONFIGURED" });
+  assert.equal(ctx.supabase.rows("orders").length, 0);
+  assert.equal(ctx.supabase.rows("webhook_deliveries").length, 0);
+
+  // Woo's ping when the webhook is saved still gets through
+  assert.deepEqual(await postWebhook(ctx.app, { webhook_id: 12 }), { status: 200, text: "PONG" });
+});
+
+test("Woo's ping is answered without touching orders", async () => {
+  ctx = setup();
+  const res = await postWebhook(ctx.app, { webhook_id: 12 });
+  assert.deepEqual(res, { status: 200, text: "PONG" });
+  assert.equal(ctx.supabase.rows("orders").length, 0);
+});
+
+test("a failed upsert answers 500 and is left to Woo's redelivery, which cannot move the order back", async () => {
+  ctx = setup();
+  ctx.supabase.fail({ table: "orders", method: "POST" });
+  const res = await postWebhook(ctx.app, fixture("woo-order-created.json"), DELIVERY);
+  assert.deepEqual(res, { status: 500, text: "ERR" });
+  assert.equal(ctx.supabase.rows("webhook_deliveries").length, 0);
+  assert.equal(ctx.outbox().length, 0);
+
+  // the order is paid before Woo redelivers the pending update
+  await postWebhook(ctx.app, { ...fixture("woo-order-created.json"), status: "processing" }, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-2" });
+  ctx.clock.advance(60 * 60 * 1000);
+  await ctx.processOutbox();
+  const redelivery = await postWebhook(ctx.app, fixture("woo-order-created.json"), DELIVERY);
+  assert.deepEqual(redelivery, { status: 200, text: "OK" });
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "paid");
+  assert.equal(order.paid_at, "2026-03-10T06:30:00.000Z");
+});
+
+test("payment method, shipping, discount, coupons and the customer note are stored", async () => {
+  ctx = setup();
+  const body = {
+    ...fixture("woo-order-created.json"),
+    payment_method: "cod",
+    payment_method_title: "Cash on delivery",
+    discount_total: "240.00",
+    coupon_lines: [
+      { id: 615, code: "welcome10", discount: "228.57", discount_tax: "11.43" },
+      { id: 616, code: "freeship", discount: "0.00", discount_tax: "0.00" }
+    ],
+    customer_note: "Please call before delivery"
+  };
+  await postWebhook(ctx.app, body, DELIVERY);
+
+  const [order] = ctx.supabase.rows("orders");
+  assert.equal(order.payment_method, "cod");
+  assert.equal(order.payment_method_title, "Cash on delivery");
+  assert.equal(order.shipping_total, 100);
+  assert.equal(order.discount_total, 240);
+  assert.equal(order.coupon_codes, "welcome10, freeship");
+  assert.equal(order.customer_note, "Please call before delivery");
+  assert.equal(order.shipment_mode, "COD");
+});
+
+test("legacy payloads fill the same fields; a later partial payload does not blank them", async () => {
+  ctx = setup();
+  const legacy = fixture("woo-order-legacy.json");
+  legacy.order.total_discount = "50.00";
+  legacy.order.note = "Gift wrap";
+  await postWebhook(ctx.app, legacy, DELIVERY);
+
+  let [order] = ctx.supabase.rows("orders");
+  assert.deepEqual(
+    [order.payment_method, order.payment_method_title, order.shipping_total, order.discount_total, order.customer_note],
+    ["upi", "UPI QR", 0, 50, "Gift wrap"]
+  );
+
+  await postWebhook(ctx.app, { id: 3188, status: "completed" }, { ...DELIVERY, "X-WC-Webhook-Delivery-ID": "d-2" });
+  [order] = ctx.supabase.rows("orders");
+  assert.equal(order.status, "completed");
+  assert.equal(order.payment_method, "upi");
+  assert.equal(order.customer_note, "Gift wrap");
+});
+
+test("deliveries from another store are refused; this store's are accepted", async () => {
+  ctx = setup();
+  const other = await postWebhook(ctx.app, fixture("woo-order-created.json"), { ...DELIVERY, "X-WC-Webhook-Source": "https://second-store.test/" });
+  assert.deepEqual(other, { status: 403, text: "WRONG STORE" });
+  assert.equal(ctx.supabase.rows("orders").length, 0);
+  assert.equal(ctx.supabase.rows("webhook_deliveries").length, 0);
+
+  const own = await postWebhook(ctx.app, fixture("woo-order-created.json"), { ...DELIVERY, "X-WC-Webhook-Source": "https://visionsjersey.com/" });
+  assert.deepEqual(own, { status: 200, text: "OK" });
+  assert.equal(ctx.supabase.rows("orders")[0].order_id, "4521");
+});